@@ -2,22 +2,27 @@
  *
  * Usage:
  * 1. create a FieldMap or Form instance with json schema.
- * 2. call render()
- * 3. call setValue() to set initial value.
+ * 2. call setValue() to set initial value.
+ * 3. call render(), or attach() to markup rendered by renderToString().
  *
- * setValue, getValue can only be called after form is rendered.
- * This limitation is due to:
- *   values are stored in the html elements directly, fields, field maps, field lists, etc. 
+ * setValue, getValue and validate can be called before or without rendering:
+ *   values are kept by fields, field maps, field lists, etc., and synced with editors once rendered.
  *
  * json schema extensions:
  *  1. ``editor``: indicate an editor type.  If omitted, best efforts will be
  *          tried to guess the appropriate editor type. schemas with an ``object`` or ``array`` type can
  *          also have ``editor`` property, where it's intended to use a customized editor for an object or array.
  *  2. ``optionLabels``: required when ``enum`` exists.  indicates the options labels.
- *  3. ``type: file``:
+ *  3. ``type: file``: edited by a File editor, arrays of files by a MultiFiles editor.
+ *          ``maxFileSize``(in bytes) and ``fileValue``('response' or 'dataUrl') configure both editors.
  *  4. ``inputAttributes``
  *  5. ``showOnly``
  *  6. ``serialize``, ``deserialize``, optional, for Field only.
+ *  7. ``discriminator``: for ``oneOf``/``anyOf`` schemas, the name of the property whose single-valued ``enum`` 
+ *          identifies each branch.
+ *  8. ``errorMessage``: a string, or a map keyed by keywords(e.g. {required: '...', pattern: '...'}), overrides
+ *          messages of validation errors.
+ *  9. ``availableIf``: a condition for a property of an object to be available, see evaluateCondition.
  */
 
 var jsonforms = (function(jsonforms) {
@@ -66,41 +71,433 @@ var jsonforms = (function(jsonforms) {
         return dataType === dataType2 || (_.isArray(dataType) && _.contains(dataType, dataType2));
     };
 
-    var createField = function(parent, schema, name, prefix) {
-        if (!schema.type) throw new Error('missing required property ``type`` in schema.');
+    // Resolve ``$ref`` of a schema.
+    // Local refs(``#/definitions/address``) are looked up in ``rootSchema``, the document containing the schema,
+    // other refs(``address.json#/definitions/street``) in the ``schemas`` registry, which maps uris to schemas.
+    // Sibling properties of ``$ref``(title, editor, required, etc.) override those of the referenced schema.
+    //
+    // Only one level is resolved, so recursive schemas are expanded lazily, e.g. when an array item is added.
+    // Returns {schema: resolvedSchema, rootSchema: documentContainingResolvedSchema, source: referencedSchema}, where
+    // source is the schema itself when it has no ``$ref``.
+    var resolveRef = function(schema, rootSchema, schemas) {
+        var refs = [],
+            source = schema;
+
+        while (schema && _.has(schema, '$ref')) {
+            var ref = schema.$ref,
+                hashIndex = ref.indexOf('#'),
+                uri = hashIndex === -1 ? ref : ref.slice(0, hashIndex),
+                pointer = hashIndex === -1 ? '' : ref.slice(hashIndex + 1);
+
+            if (_.contains(refs, ref)) throw new Error('circular ``$ref``: ' + refs.concat(ref).join(' -> '));
+            refs.push(ref);
+
+            if (uri && !(rootSchema && rootSchema.id === uri)) {
+                if (!schemas || !_.has(schemas, uri)) throw new Error("can't find a schema with uri `" + uri + "`.");
+                rootSchema = schemas[uri];
+            }
+
+            var target = jsonforms.getValueByJsonPointer(rootSchema, pointer);
+            if (!_.isObject(target)) throw new Error("can't resolve ``$ref`` `" + ref + "`.");
+
+            source = target;
+            schema = _.extend({}, target, _.omit(schema, '$ref'));
+        }
+
+        return {
+            schema: schema,
+            rootSchema: rootSchema,
+            source: source
+        };
+    };
+
+    var isInteger = function(n) {
+        return _.isNumber(n) && n % 1 === 0;
+    };
+
+    var leastCommonMultiple = function(a, b) {
+        var gcd = function(a, b) {
+            return b ? gcd(b, a % b) : a;
+        };
+        return a / gcd(a, b) * b;
+    };
+
+    // Merge the branches of ``allOf`` and the schema itself into one schema:
+    //   ``properties`` and ``required`` are unioned, ``type`` and ``enum`` are intersected,
+    //   the tightest ``minimum``, ``maximum``, ``minLength``, etc. are taken,
+    //   ``items``, ``additionalProperties``, ``patternProperties`` and ``dependencies`` are merged like ``properties``,
+    //   ``availableIf``s must all hold, integer ``multipleOf``s are merged into their least common multiple,
+    //   different ``pattern``s, ``format``s and other ``multipleOf``s are all kept, the others in a nested ``allOf``,
+    //   for other properties(title, description, etc.), later ones override former ones, the schema itself wins.
+    // An error naming the Json Pointer(``pointer`` is that of the schema) is thrown when branches contradict.
+    var mergeAllOf = function(schema, rootSchema, schemas, pointer) {
+        if (!schema.allOf) return schema;
+
+        var intersectTypes = function(a, b) {
+            a = _.flatten([a]);
+            b = _.flatten([b]);
+            var includes = function(types, type) {
+                return _.contains(types, type) || (type === 'integer' && _.contains(types, 'number'));
+            };
+            return _.filter(_.union(a, b), function(type) {
+                return includes(a, type) && includes(b, type);
+            });
+        };
+
+        var merge = function(target, source, pointer) {
+            var merged = _.extend({}, target, source),
+                both = function(key) {
+                    return _.has(target, key) && _.has(source, key);
+                },
+                conflict = function(key) {
+                    throw new Error('conflicting ``' + key + '`` in ``allOf`` at Json Pointer `' + (pointer || '/') + '`.');
+                };
+
+            if (both('type')) {
+                var types = intersectTypes(target.type, source.type);
+                if (types.length === 0) conflict('type');
+                merged.type = types.length === 1 ? types[0] : types;
+            }
+
+            if (both('enum')) {
+                merged['enum'] = _.filter(target['enum'], function(value) {
+                    return _.some(source['enum'], _.partial(_.isEqual, value));
+                });
+                if (merged['enum'].length === 0) conflict('enum');
+
+                if (target.optionLabels || source.optionLabels) merged.optionLabels = _.map(merged['enum'], function(value) {
+                    var labeled = source.optionLabels ? source : target;
+                    return _.find(_.zip(labeled['enum'], labeled.optionLabels), function(option) {
+                        return _.isEqual(option[0], value);
+                    })[1];
+                });
+            }
+
+            // the tightest bound, along with its ``exclusiveMinimum``/``exclusiveMaximum``.
+            var tighten = function(key, isTighter, exclusiveKey) {
+                if (!both(key)) return;
+                var tightest = isTighter(source[key], target[key]) ||
+                    (source[key] === target[key] && exclusiveKey && source[exclusiveKey]) ? source : target;
+                merged[key] = tightest[key];
+                if (exclusiveKey) {
+                    if (_.has(tightest, exclusiveKey)) merged[exclusiveKey] = tightest[exclusiveKey];
+                    else delete merged[exclusiveKey];
+                }
+            };
+            var greater = function(a, b) {
+                    return a > b;
+                },
+                less = function(a, b) {
+                    return a < b;
+                };
+
+            tighten('minimum', greater, 'exclusiveMinimum');
+            tighten('maximum', less, 'exclusiveMaximum');
+            _.each(['minLength', 'minItems', 'minProperties'], function(key) {
+                tighten(key, greater);
+            });
+            _.each(['maxLength', 'maxItems', 'maxProperties'], function(key) {
+                tighten(key, less);
+            });
+
+            _.each([['minimum', 'maximum'], ['minLength', 'maxLength'], ['minItems', 'maxItems'], ['minProperties', 'maxProperties']],
+                function(keys) {
+                    if (merged[keys[0]] > merged[keys[1]]) conflict(keys[0]);
+                });
+
+            // both constraints apply, the one of ``target`` is checked by validateValue through ``allOf``.
+            var constraints = [];
+            _.each(['pattern', 'format', 'multipleOf'], function(key) {
+                if (!both(key) || target[key] === source[key]) return;
+                if (key === 'multipleOf' && isInteger(target[key]) && isInteger(source[key]))
+                    merged[key] = leastCommonMultiple(target[key], source[key]);
+                else constraints.push(_.object([key], [target[key]]));
+            });
+            merged.allOf = _.union(target.allOf || [], source.allOf || [], constraints);
+            if (merged.allOf.length === 0) delete merged.allOf;
+
+            if (both('uniqueItems')) merged.uniqueItems = target.uniqueItems || source.uniqueItems;
+            if (_.isArray(target.required) && _.isArray(source.required))
+                merged.required = _.union(target.required, source.required);
+
+            if (both('properties')) {
+                merged.properties = _.extend({}, target.properties, source.properties);
+                _.each(_.intersection(_.keys(target.properties), _.keys(source.properties)), function(name) {
+                    merged.properties[name] = merge(
+                        resolveRef(target.properties[name], rootSchema, schemas).schema,
+                        resolveRef(source.properties[name], rootSchema, schemas).schema,
+                        pointer + '/' + escapeJsonPointerToken(name));
+                });
+            }
+
+            // schemas of the same key in both maps are merged.
+            var mergeMaps = function(key, mergeValues) {
+                if (!both(key)) return;
+                merged[key] = _.extend({}, target[key], source[key]);
+                _.each(_.intersection(_.keys(target[key]), _.keys(source[key])), function(name) {
+                    merged[key][name] = mergeValues(target[key][name], source[key][name],
+                        pointer + '/' + key + '/' + escapeJsonPointerToken(name));
+                });
+            };
+            var mergeSchemas = function(a, b, pointer) {
+                return merge(resolveRef(a, rootSchema, schemas).schema, resolveRef(b, rootSchema, schemas).schema, pointer);
+            };
+
+            mergeMaps('patternProperties', mergeSchemas);
+            // property dependencies(a list of names) are schemas requiring them.
+            mergeMaps('dependencies', function(a, b, pointer) {
+                if (_.isArray(a) && _.isArray(b)) return _.union(a, b);
+                return mergeSchemas(_.isArray(a) ? {
+                    required: a
+                } : a, _.isArray(b) ? {
+                    required: b
+                } : b, pointer);
+            });
+
+            if (both('additionalProperties')) {
+                if (target.additionalProperties === false || source.additionalProperties === false)
+                    merged.additionalProperties = false;
+                else if (!_.isObject(target.additionalProperties)) merged.additionalProperties = source.additionalProperties;
+                else if (_.isObject(source.additionalProperties))
+                    merged.additionalProperties = mergeSchemas(target.additionalProperties, source.additionalProperties,
+                        pointer + '/additionalProperties');
+            }
+
+            // items of tuples are merged by positions.
+            if (both('items')) {
+                if (_.isArray(target.items) !== _.isArray(source.items)) conflict('items');
+                if (_.isArray(target.items)) {
+                    merged.items = _.map(_.range(Math.max(target.items.length, source.items.length)), function(i) {
+                        if (i >= target.items.length) return source.items[i];
+                        if (i >= source.items.length) return target.items[i];
+                        return mergeSchemas(target.items[i], source.items[i], pointer + '/items/' + i);
+                    });
+                } else merged.items = mergeSchemas(target.items, source.items, pointer + '/items');
+            }
+
+            if (both('availableIf')) merged.availableIf = {
+                all: [target.availableIf, source.availableIf]
+            };
+
+            return merged;
+        };
+
+        var merged = _.reduce(schema.allOf, function(merged, branch) {
+            branch = resolveRef(branch, rootSchema, schemas).schema;
+            return merge(merged, mergeAllOf(branch, rootSchema, schemas, pointer), pointer);
+        }, {});
+
+        return merge(merged, _.omit(schema, 'allOf'), pointer);
+    };
+
+    // resolve ``$ref`` and merge ``allOf`` of a schema.
+    var resolveSchema = function(schema, rootSchema, schemas, pointer) {
+        var resolved = resolveRef(schema, rootSchema, schemas);
+        resolved.schema = mergeAllOf(resolved.schema, resolved.rootSchema, schemas, pointer);
+        return resolved;
+    };
+
+    // a copy of ``default`` of a schema, values of fields never share objects with schemas.
+    var getDefaultValue = function(schema) {
+        return _.has(schema, 'default') ? JSON.parse(JSON.stringify(schema['default'])) : undefined;
+    };
+
+    // whether setValue leaves values missing in the value as they are, see FieldMap.setValue.
+    var ignoresMissingValues = function(options) {
+        if (options.ignoreMissingValue !== undefined) return options.ignoreMissingValue;
+        return options.defaults === undefined;
+    };
+
+    // the schema of a property beyond ``properties`` of an object schema: that of the ``patternProperties`` matching
+    // the name(merged when several match), or ``additionalProperties`` when none matches.
+    // undefined when the property has no schema, e.g. additionalProperties is false.
+    var getPropertySchema = function(schema, name) {
+        var matches = _.filter(schema.patternProperties, function(property, pattern) {
+            return new RegExp(pattern).test(name);
+        });
+        if (matches.length) return matches.length > 1 ? {
+            allOf: matches
+        } : matches[0];
+        if (_.isObject(schema.additionalProperties)) return schema.additionalProperties;
+    };
+
+    // whether a property beyond ``properties`` can be edited: it has a schema, and its name is valid against
+    // ``propertyNames``.
+    var isValidPropertyName = function(schema, name) {
+        return getPropertySchema(schema, name) !== undefined &&
+            (!schema.propertyNames || isValidValue(name, schema.propertyNames));
+    };
+
+    /**
+     * Layouts
+     *
+     * the ``layout`` option of Form places fields of an object without touching the schema, it's a list of:
+     *   - a property name, or '*' for the properties not placed elsewhere, which otherwise follow the layout.
+     *   - {field: 'address', layout: [...]}: a property with the layout of its own fields, or of its items for an array.
+     *   - {type: 'fieldset', title: '...', collapsible: true, collapsed: false, items: [...]}
+     *   - {type: 'tabs', tabs: [{title: '...', items: [...]}, ...]}
+     *   - {type: 'columns', columns: [{width: 6, items: [...]}, ...]}: widths of the 12 columns grid.
+     *
+     * a group is rendered by the template 'layout-<type>', its elements with ``data-layout-items`` hold the items of
+     * the group, tabs or columns in order.  fields are put into containers with ``data-fields`` selections, which
+     * replace the container selecting all fields(data-fields="*") of the object template.
+     */
+    // fields placed by a layout as {field, layout}.
+    var getLayoutFields = function(elements) {
+        return _.flatten(_.map(elements, function(element) {
+            if (_.isString(element)) return {
+                field: element
+            };
+            if (element.field) return element;
+            return _.map(element.tabs || element.columns || [element], function(group) {
+                return getLayoutFields(group.items);
+            });
+        }));
+    };
+
+    // the layout passed to a field created by createField.  inner fields share the layout of their containers.
+    var getChildLayout = function(parent, name) {
+        if (!(parent instanceof FieldMap)) return parent.layout;
+
+        var element = _.findWhere(getLayoutFields(parent.layout), {
+            field: name
+        });
+        return element && element.layout;
+    };
+
+    // the elements of the field map's layout, with empty containers for fields.
+    var renderLayout = function(fieldMap) {
+        var elements = fieldMap.layout,
+            placedNames = _.pluck(getLayoutFields(elements), 'field'),
+            otherNames = _.difference(_.keys(fieldMap.allFields), placedNames);
+        if (!_.contains(placedNames, '*')) elements = elements.concat('*');
+
+        var build = function(elements) {
+            // jQuery's add sorts detached nodes unpredictably, nodes are kept in an array.
+            var nodes = [],
+                names = [];
+
+            // consecutive fields share a container.
+            var addContainer = function() {
+                if (names.length) nodes.push($('<div>').attr('data-fields', names.join(','))[0]);
+                names = [];
+            };
+
+            _.each(elements, function(element) {
+                if (_.isString(element) || element.field) {
+                    var name = _.isString(element) ? element : element.field;
+                    names = names.concat(name === '*' ? otherNames : [name]);
+                    return;
+                }
+                addContainer();
+
+                var template = fieldMap.templates['layout-' + element.type];
+                if (!template) throw new Error('unknown layout type: ' + element.type);
+
+                var groups = element.tabs || element.columns || [element],
+                    $group = $(template(_.extend({
+                        title: '',
+                        collapsible: false,
+                        collapsed: false
+                    }, element)));
+                $group.find('[data-layout-items]').each(function(i, el) {
+                    $(el).append(build(groups[i].items));
+                });
+                nodes.push($group[0]);
+            });
+            addContainer();
+
+            return nodes;
+        };
+
+        return build(elements);
+    };
+
+    // whether a layout element is the field map's own, rather than of a nested field.
+    var isOwnLayoutElement = function(fieldMap, el) {
+        return $(el).parentsUntil(fieldMap.el, '[data-field]').length === 0;
+    };
+
+    // @param rootSchema: optional, the document containing ``schema``, defaults to parent.rootSchema.
+    var createField = function(parent, schema, name, prefix, rootSchema) {
+        var resolved = resolveSchema(schema, rootSchema || parent.rootSchema, parent.schemas,
+            getJsonPointer(parent) + (name ? '/' + escapeJsonPointerToken(name) : ''));
+        schema = resolved.schema;
 
         var options = {
             name: name,
             prefix: prefix,
             parent: parent,
             templates: parent.templates,
-            schema: schema
+            liveValidation: parent.liveValidation,
+            layout: getChildLayout(parent, name),
+            rootSchema: resolved.rootSchema,
+            schemas: parent.schemas,
+            schema: schema,
+            schemaSource: resolved.source
         };
 
-        if (!schema.editor && schema.type === 'object')
+        if (!schema.editor && (schema.oneOf || schema.anyOf))
+            return new FieldVariant(options);
+
+        if (!schema.type) throw new Error('missing required property ``type`` in schema.');
+
+        if (!schema.editor && schema.type === 'object') {
+            // an object containing itself(e.g. {properties: {parent: {$ref: '#'}}}) would be expanded endlessly.
+            // it's a variant of no value or the object instead, whose fields are built once the object is chosen.
+            if (isRecursiveSchema(parent, resolved.source)) return new FieldVariant(_.extend(options, {
+                schema: _.extend(_.pick(schema, 'title', 'description', 'required', 'availableIf'), {
+                    oneOf: [{
+                        type: 'null',
+                        editor: 'HiddenJson'
+                    }, _.omit(schema, 'required', 'availableIf')]
+                })
+            }));
             return new FieldMap(options);
+        }
 
-        if (!schema.editor && schema.type === 'array')
-            return new FieldList(options);
+        if (!schema.editor && schema.type === 'array') {
+            var items = _.isArray(schema.items) ? null : resolveRef(schema.items, resolved.rootSchema, parent.schemas).schema;
+            // an array with enum or file items is edited by a single editor(see createEditor).
+            if (!items || !(items['enum'] || items.type === 'file')) return new FieldList(options);
+            options.schema = _.extend({}, schema, {
+                items: items
+            });
+        }
 
         return new Field(options);
     };
 
-    var createEditor = function(schema, name, placeholder) {
+    // whether ``source``(see resolveRef) is the schema of a FieldMap containing ``field``, or of ``field`` itself.
+    var isRecursiveSchema = function(field, source) {
+        for (; field; field = field.parent)
+            if (field.schemaSource === source) return true;
+        return false;
+    };
+
+    // arrays of enum items with more options than it are edited by a MultiSelect instead of Checkboxes,
+    // since checkboxes become hard to scan when there are too many options.
+    jsonforms.multiSelectThreshold = 10;
+
+    // @param id: optional, the id of the input, see getInputId.
+    var createEditor = function(schema, name, placeholder, id) {
         // browsers fall back to type=text when they don't undertand the type.
-        // TODO: array with enum items => multi-select or checkboxes
-        // TODO: type=file
         //
-        // when an array item is moved/inserted/removed, the index of other items are changed in most cases. 
-        // This will cause the id/name attributes to its items change.
-        // So, to correctly implement id/name, an event broadcast mechanism is necessary. 
-        // Currently, there is no such use case, so generate a random id here.
+        // name is the full name of the field, e.g. 'attributes-2-name', and so is id in the form(see getInputId).
+        // when an array item is moved/inserted/removed, the index of other items are changed in most cases,
+        // FieldList re-indexes its items by calling ``setPrefix``, which updates the id/name attributes.
         var attributes = {},
             supportDate = $('<input type="date">')[0].type !== 'text',
+            format = formats[schema.format],
             editorClassName;
 
         if (schema.editor) editorClassName = schema.editor;
         else if (schema['enum']) editorClassName = 'Select';
+        else if (schema.type === 'array' && schema.items && schema.items['enum'])
+            editorClassName = schema.items['enum'].length > jsonforms.multiSelectThreshold ? 'MultiSelect' : 'Checkboxes';
+        else if (schema.type === 'file') editorClassName = 'File';
+        else if (schema.type === 'array' && schema.items && schema.items.type === 'file') editorClassName = 'MultiFiles';
+        else if (format && format.editor) editorClassName = format.editor;
         else if (schema.type === 'boolean') editorClassName = 'Checkbox';
         else if (!supportDate && schema.format === 'date') editorClassName = 'DatePicker';
         else editorClassName = 'Text';
@@ -117,13 +514,15 @@ var jsonforms = (function(jsonforms) {
             // in an HTML document will result in an error being thrown by Internet Explorer 6, 7, or 8.
             // Here an editor is initialized(type changed) before being added into DOM.
             if (editorClass.prototype.type === 'text') {
-                if (schema.type === 'integer' || schema.type === 'number') attributes.type = 'number';
+                if (format && format.inputType) attributes.type = format.inputType;
+                else if (schema.type === 'integer' || schema.type === 'number') attributes.type = 'number';
                 else if (schema.format === 'email') attributes.type = 'email';
                 else if (schema.format === 'date') attributes.type = 'date';
                 else if (schema.format === 'uri') attributes.type = 'url';
 
                 if (_.has(schema, 'maxLength')) attributes.maxlength = schema.maxLength;
                 if (_.has(schema, 'pattern')) attributes.pattern = schema.pattern;
+                else if (format && format.pattern) attributes.pattern = format.pattern;
                 if (schema.multipleOf && (schema.minimum % schema.multipleOf === 0)) attributes.step = schema.multipleOf;
                 //min, max can be set for not only for number input, but also for date input...
                 if (_.has(schema, 'minimum')) attributes.min = schema.minimum;
@@ -133,7 +532,7 @@ var jsonforms = (function(jsonforms) {
 
         if (placeholder) attributes.placeholder = placeholder;
         attributes = _.extend({
-                id: _.uniqueId('id'),
+                id: id || name || _.uniqueId('id'),
                 name: name
             },
             attributes, schema.inputAttributes);
@@ -145,9 +544,11 @@ var jsonforms = (function(jsonforms) {
         };
 
         if (issubclass(editorClass, Select)) {
-            var optionValues = schema['enum'].slice(),
-                optionLabels = schema.optionLabels ? schema.optionLabels.slice() : optionValues.slice();
-            if (_.isArray(schema.type) && _.contains(schema.type, 'null')) {
+            // options of an array with enum items are its items' enum.
+            var enumSchema = schema['enum'] || !schema.items ? schema : schema.items,
+                optionValues = enumSchema['enum'].slice(),
+                optionLabels = enumSchema.optionLabels ? enumSchema.optionLabels.slice() : optionValues.slice();
+            if (!editorClass.prototype.multiple && _.isArray(schema.type) && _.contains(schema.type, 'null')) {
                 optionValues.splice(0, 0, null);
                 optionLabels.splice(0, 0, '');
             }
@@ -155,22 +556,409 @@ var jsonforms = (function(jsonforms) {
                 function(option) {
                     return {
                         val: option[0],
-                        label: option[1]
+                        label: translate(option[1])
                     };
                 });
         }
         return new editorClass(options);
     };
 
+    var getDataType = function(value) {
+        if (value == null) return 'null';
+        if (_.isArray(value)) return 'array';
+        if (_.isNumber(value)) return value % 1 === 0 ? 'integer' : 'number';
+        if (_.isBoolean(value)) return 'boolean';
+        if (_.isString(value)) return 'string';
+        return 'object';
+    };
+
+    var matchesDataType = function(dataType, value) {
+        if (!dataType) return true;
+        var valueType = getDataType(value);
+        return hasDataType(dataType, valueType) || (valueType === 'integer' && hasDataType(dataType, 'number'));
+    };
+
+    // the value of the discriminator property of a ``oneOf``/``anyOf`` branch, e.g. 'card' for
+    // {type: 'object', properties: {kind: {type: 'string', enum: ['card']}, ...}} with discriminator 'kind'.
+    var getDiscriminatorValue = function(schema, discriminator) {
+        var property = discriminator && schema.properties && schema.properties[discriminator];
+        if (property && property['enum'] && property['enum'].length === 1) return property['enum'][0];
+    };
+
+    // Find the index of the ``oneOf``/``anyOf`` branch which a value fits best, -1 if none fits.
+    // It's a heuristic rather than a validation: types, enums, required and additional properties are checked,
+    // then the branch declaring most of the value's properties wins.
+    var matchVariant = function(variants, value) {
+        var score = function(schema) {
+            if (!matchesDataType(schema.type, value)) return -1;
+            if (schema['enum'] && !_.some(schema['enum'], _.partial(_.isEqual, value))) return -1;
+            if (getDataType(value) !== 'object') return 1;
+
+            var properties = schema.properties || {};
+            if (_.some(schema.required, function(name) {
+                return !_.has(value, name);
+            })) return -1;
+            if (schema.additionalProperties === false && _.some(_.keys(value), function(name) {
+                return !_.has(properties, name);
+            })) return -1;
+
+            var matched = _.filter(_.keys(value), function(name) {
+                return _.has(properties, name);
+            });
+            if (_.some(matched, function(name) {
+                var property = properties[name];
+                return property['enum'] && !_.some(property['enum'], _.partial(_.isEqual, value[name]));
+            })) return -1;
+
+            return 1 + matched.length;
+        };
+
+        var scores = _.map(variants, score),
+            max = _.max(scores);
+        return max < 0 ? -1 : _.indexOf(scores, max);
+    };
+
+    // whether a File matches the ``accept`` attribute of a file input, e.g. '.pdf,image/*,text/csv'.
+    var matchesAccept = function(accept, file) {
+        if (!accept) return true;
+
+        var name = file.name.toLowerCase(),
+            type = (file.type || '').toLowerCase();
+        return _.some(accept.split(','), function(pattern) {
+            pattern = $.trim(pattern).toLowerCase();
+            if (pattern.charAt(0) === '.') return name.slice(-pattern.length) === pattern;
+            if (/\/\*$/.test(pattern)) return type.indexOf(pattern.slice(0, -1)) === 0;
+            return type === pattern;
+        });
+    };
+
+    // Examples: 0 => '0 B', 2048 => '2 KB', 1572864 => '1.5 MB'
+    var formatFileSize = function(size) {
+        if (size == null) return '';
+
+        var units = ['B', 'KB', 'MB', 'GB'],
+            i = 0;
+        while (size >= 1024 && i < units.length - 1) {
+            size /= 1024;
+            i++;
+        }
+        return (Math.round(size * 10) / 10) + ' ' + units[i];
+    };
+
+    /**
+     * Locales
+     *
+     * ``jsonforms.locales[name]`` holds the UI strings of a locale, its ``validation`` messages keyed by keywords,
+     * and its ``titles`` translating texts of schemas.  strings are templates, called with the parameters given to
+     * jsonforms.t().
+     * a string missing in the current locale falls back to the 'en' locale.
+     *
+     * titles, descriptions, option labels and button texts in schemas are translated too, each can be:
+     *   - a key of the ``titles`` of the current locale, e.g. 'product.name' with
+     *     jsonforms.addLocale('de', {titles: {'product.name': 'Name'}}).
+     *     prettified titles are keys as well, e.g. 'First Name' for a property named firstName.
+     *   - a map keyed by locale names, e.g. {en: 'Name', de: 'Name'}.
+     */
+    _.extend(jsonforms, Backbone.Events);
+
+    jsonforms.locale = 'en';
+
+    jsonforms.locales = {
+        en: {
+            add: 'Add',
+            insert: 'Insert',
+            remove: 'Remove',
+            moveUp: 'Move up',
+            moveDown: 'Move down',
+            dragHandle: 'Drag or press Alt+Up/Down to move',
+            itemMoved: 'Moved to position <%- position %> of <%- count %>.',
+            toggleItem: 'Show or hide',
+            itemNumber: 'Item <%- index %>',
+            expandAll: 'Expand all',
+            collapseAll: 'Collapse all',
+            variantOption: 'Option <%- index %>',
+            noValue: 'None',
+            duplicateItem: 'Duplicate item.',
+            key: 'Key',
+            duplicateKey: 'Duplicate key.',
+            invalidKey: 'Invalid key.',
+            minSelected: 'Please select at least <%- minItems %> options.',
+            fileNotAccepted: 'file type not accepted',
+            fileTooLarge: 'larger than <%- size %>',
+            tooManyFiles: 'too many files',
+            fileFailed: 'failed to read or upload',
+            unsavedChanges: 'You have unsaved changes.',
+            previous: 'Back',
+            next: 'Next',
+            stepProgress: 'Step <%- step %> of <%- count %>',
+            validation: {}, // jsonforms.validationMessages are used.
+            titles: {}
+        }
+    };
+
+    // add strings to a locale, the locale is created when it doesn't exist.
+    jsonforms.addLocale = function(name, strings) {
+        var locale = jsonforms.locales[name] = jsonforms.locales[name] || {
+            validation: {},
+            titles: {}
+        };
+        _.extend(locale, _.omit(strings, 'validation', 'titles'));
+        _.extend(locale.validation, strings.validation);
+        _.extend(locale.titles, strings.titles);
+    };
+
+    // switch the locale, rendered forms are re-rendered with their values kept.
+    jsonforms.setLocale = function(name) {
+        if (!jsonforms.locales[name]) throw new Error('unknown locale: ' + name);
+
+        jsonforms.locale = name;
+        // messages of tv4 are translated when the language is added to tv4.
+        if (typeof tv4 !== 'undefined') tv4.language(name);
+        jsonforms.trigger('change:locale', name);
+    };
+
+    // @return the string of ``key`` in the current locale or the 'en' locale, undefined if not found.
+    var getLocaleString = function(key, group) {
+        var locales = _.compact([jsonforms.locales[jsonforms.locale], jsonforms.locales.en]);
+        for (var i = 0; i < locales.length; i++) {
+            var strings = group ? locales[i][group] : locales[i];
+            if (strings && _.has(strings, key) && strings[key] != null) return strings[key];
+        }
+    };
+
+    var toTemplate = function(text) {
+        return _.isFunction(text) ? text : _.template(text);
+    };
+
+    // translate a UI string, e.g. jsonforms.t('fileTooLarge', {size: '1 MB'}) => 'larger than 1 MB'
+    var t = jsonforms.t = function(key, params) {
+        var text = getLocaleString(key);
+        return text === undefined ? key : toTemplate(text)(params || {});
+    };
+
+    // translate a title, description, option label or button text.
+    var translate = jsonforms.translate = function(text) {
+        if (_.isObject(text) && !_.isArray(text)) {
+            var locale = _.has(text, jsonforms.locale) ? jsonforms.locale : _.has(text, 'en') ? 'en' : _.keys(text)[0];
+            return text[locale];
+        }
+        if (!_.isString(text)) return text;
+
+        var translated = getLocaleString(text, 'titles');
+        return _.isString(translated) ? translated : text;
+    };
+
+    // validators of ``format``s, unknown formats pass validation.
+    var formatValidators = {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        date: /^\d{4}-\d{2}-\d{2}$/,
+        'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?([Zz]|[+-]\d{2}:\d{2})?$/,
+        uri: /^[a-zA-Z][a-zA-Z0-9+.-]*:\S*$/,
+        ipv4: /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/,
+        hostname: /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/
+    };
+
+    // messages of the built-in validator in the 'en' locale, keyed by keywords.
+    // templates are called with the schema, plus ``value``, ``length``, ``type`` and ``expected``.
+    // other locales translate them in their ``validation`` strings.
+    var validationMessages = jsonforms.validationMessages = {
+        required: _.template('Missing required property'),
+        type: _.template('Invalid type: <%- type %> (expected <%- expected %>)'),
+        'enum': _.template('No enum match for: <%- JSON.stringify(value) %>'),
+        'const': _.template('Value does not match the constant: <%- JSON.stringify(value) %>'),
+        minLength: _.template('String is too short (<%- length %> chars), minimum <%- minLength %>'),
+        maxLength: _.template('String is too long (<%- length %> chars), maximum <%- maxLength %>'),
+        pattern: _.template('String does not match pattern: <%- pattern %>'),
+        format: _.template('Format validation failed (<%- format %>)'),
+        minimum: _.template('Value <%- value %> is less than minimum <%- minimum %>'),
+        exclusiveMinimum: _.template('Value <%- value %> is equal to exclusive minimum <%- minimum %>'),
+        maximum: _.template('Value <%- value %> is greater than maximum <%- maximum %>'),
+        exclusiveMaximum: _.template('Value <%- value %> is equal to exclusive maximum <%- maximum %>'),
+        multipleOf: _.template('Value <%- value %> is not a multiple of <%- multipleOf %>'),
+        minItems: _.template('Array is too short (<%- length %>), minimum <%- minItems %>'),
+        maxItems: _.template('Array is too long (<%- length %>), maximum <%- maxItems %>'),
+        uniqueItems: _.template('Array items are not unique'),
+        minProperties: _.template('Too few properties defined (<%- length %>), minimum <%- minProperties %>'),
+        maxProperties: _.template('Too many properties defined (<%- length %>), maximum <%- maxProperties %>'),
+        propertyNames: _.template('Invalid property name: <%- propertyName %>'),
+        additionalProperties: _.template('Additional property <%- propertyName %> is not allowed')
+    };
+
+    /**
+     * Register a custom format, e.g.
+     *
+     *   jsonforms.registerFormat('phone', {
+     *       validate: /^\+?[\d ]+$/,     // optional, a RegExp or a function(value) returning whether it's valid.
+     *       pattern: '\\+?[\\d ]+',     // optional, the html pattern attribute, used as ``validate`` when it's omitted.
+     *       inputType: 'tel',            // optional, the type of the input.
+     *       editor: 'Text',              // optional, the editor when no ``editor`` is given in the schema.
+     *       message: 'Invalid phone number: <%- value %>'  // optional, a template called like validationMessages.
+     *   });
+     *
+     * Formats are checked by the built-in validator, and added to tv4 or Ajv when they're used.
+     */
+    var formats = jsonforms.formats = {};
+
+    jsonforms.registerFormat = function(name, format) {
+        var validate = format.validate || (format.pattern ? new RegExp('^(?:' + format.pattern + ')$') : null),
+            message = format.message || validationMessages.format;
+
+        format = formats[name] = _.extend({}, format, {
+            validate: _.isRegExp(validate) ? _.bind(validate.test, validate) : validate || function() {
+                return true;
+            },
+            message: _.isFunction(message) ? message : _.template(message)
+        });
+    };
+
+    /**
+     * Register a custom keyword, e.g.
+     *
+     *   jsonforms.registerKeyword('notIn', {
+     *       validate: function(value, keywordValue, schema) {  // called for non-null values only.
+     *           return !_.contains(keywordValue, value);
+     *       },
+     *       message: 'Value <%- value %> is not allowed'      // optional, a template called like validationMessages.
+     *   });
+     *
+     * Keywords are checked by the built-in validator, and added to tv4 or Ajv when they're used.
+     */
+    var keywords = jsonforms.keywords = {};
+
+    // @return the message template of a keyword in the current locale.
+    var getValidationMessage = function(keyword) {
+        var message = getLocaleString(keyword, 'validation');
+        return message !== undefined ? toTemplate(message) : validationMessages[keyword];
+    };
+
+    jsonforms.registerKeyword = function(name, keyword) {
+        var message = keyword.message || 'Validation failed (' + name + ')';
+
+        keywords[name] = keyword;
+        validationMessages[name] = _.isFunction(message) ? message : _.template(message);
+    };
+
+    // The built-in validator: check a value against a schema, nested values are not checked.
+    // ``required: true``(set on properties by FieldMap) is checked, while ``required`` arrays are not, because
+    // fields hidden by ``availableIf`` are not required.
+    // @return an array of errors like {keyword: 'maxLength', message: 'String is too long ...'}
+    var validateValue = jsonforms.validateValue = function(value, schema) {
+        var errors = [],
+            params = _.extend({}, schema, {
+                value: value,
+                length: _.isString(value) || _.isArray(value) ? value.length : _.size(value)
+            }),
+            error = function(keyword, template) {
+                errors.push({
+                    keyword: keyword,
+                    message: (template || getValidationMessage(keyword))(params)
+                });
+            };
+
+        if (value == null) {
+            if (schema.required === true) error('required');
+            return errors;
+        }
+
+        // non-standard types(e.g. file) are not checked.
+        var types = _.intersection(_.flatten([schema.type]), ['null', 'boolean', 'integer', 'number', 'string', 'array', 'object']);
+        if (types.length && !matchesDataType(types, value)) {
+            params.type = getDataType(value);
+            params.expected = types.join('/');
+            error('type');
+            return errors;
+        }
+
+        if (schema['enum'] && !_.some(schema['enum'], _.partial(_.isEqual, value))) error('enum');
+        if (_.has(schema, 'const') && !_.isEqual(value, schema['const'])) error('const');
+
+        if (_.isString(value)) {
+            if (_.has(schema, 'minLength') && value.length < schema.minLength) error('minLength');
+            if (_.has(schema, 'maxLength') && value.length > schema.maxLength) error('maxLength');
+            if (_.has(schema, 'pattern') && !new RegExp(schema.pattern).test(value)) error('pattern');
+
+            var format = formats[schema.format],
+                builtinFormat = formatValidators[schema.format];
+            if (format) {
+                if (!format.validate(value)) error('format', format.message);
+            } else if (builtinFormat && !builtinFormat.test(value)) error('format');
+        } else if (_.isNumber(value)) {
+            if (_.has(schema, 'minimum')) {
+                if (value < schema.minimum) error('minimum');
+                else if (schema.exclusiveMinimum && value === schema.minimum) error('exclusiveMinimum');
+            }
+            if (_.has(schema, 'maximum')) {
+                if (value > schema.maximum) error('maximum');
+                else if (schema.exclusiveMaximum && value === schema.maximum) error('exclusiveMaximum');
+            }
+            if (schema.multipleOf) {
+                var quotient = value / schema.multipleOf;
+                if (Math.abs(quotient - Math.round(quotient)) > 1e-9) error('multipleOf');
+            }
+        } else if (_.isArray(value)) {
+            if (_.has(schema, 'minItems') && value.length < schema.minItems) error('minItems');
+            if (_.has(schema, 'maxItems') && value.length > schema.maxItems) error('maxItems');
+            if (schema.uniqueItems && _.some(value, function(item, i) {
+                return _.some(value.slice(0, i), _.partial(_.isEqual, item));
+            })) error('uniqueItems');
+        } else if (_.isObject(value)) {
+            if (_.has(schema, 'minProperties') && params.length < schema.minProperties) error('minProperties');
+            if (_.has(schema, 'maxProperties') && params.length > schema.maxProperties) error('maxProperties');
+            _.each(_.keys(value), function(name) {
+                params.propertyName = name;
+                if (schema.propertyNames && !isValidValue(name, schema.propertyNames)) error('propertyNames');
+                else if (schema.additionalProperties === false && !_.has(schema.properties, name) &&
+                    getPropertySchema(schema, name) === undefined) error('additionalProperties');
+            });
+        }
+
+        _.each(keywords, function(keyword, name) {
+            if (_.has(schema, name) && !keyword.validate(value, schema[name], schema)) error(name);
+        });
+
+        // constraints kept aside by mergeAllOf.
+        _.each(schema.allOf, function(branch) {
+            errors = errors.concat(validateValue(value, _.omit(branch, 'required')));
+        });
+
+        return errors;
+    };
+
+    // the message of an error, overridden by ``errorMessage`` of the schema of the field.
+    var getErrorMessage = function(schema, error, messageAttrName) {
+        var errorMessage = schema.errorMessage;
+        if (_.isString(errorMessage)) return errorMessage;
+        if (_.isObject(errorMessage) && _.has(errorMessage, error.keyword)) return errorMessage[error.keyword];
+        return error[messageAttrName || 'message'];
+    };
+
     var parseJsonPointer = function(s) {
         var tokens = s.split('/');
         if (tokens[0] !== '') throw new Error('unknown json pointer: ' + s);
         return _.map(tokens.slice(1), function(token) {
-            if (/\d+/.test(token)) return parseInt(token, 10);
-            return decodeURIComponent(token);
+            if (/^\d+$/.test(token)) return parseInt(token, 10);
+            return decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
         });
     };
 
+    var escapeJsonPointerToken = function(token) {
+        return ('' + token).replace(/~/g, '~0').replace(/\//g, '~1');
+    };
+
+    // the Json Pointer of the value of a field, e.g. '/attributes/2/name'.
+    var getJsonPointer = function(field) {
+        var tokens = [];
+        for (var current = field; current && current.parent; current = current.parent) {
+            if (current instanceof ListItem) {
+                var index = _.indexOf(current.parent.items, current);
+                tokens.unshift(index === -1 ? current.index : index); // not added to the list yet.
+            } else if (current instanceof PropertyItem) {
+                tokens.unshift(escapeJsonPointerToken(current.key));
+            } else if (current.name) tokens.unshift(escapeJsonPointerToken(current.name));
+        }
+        return tokens.length ? '/' + tokens.join('/') : '';
+    };
+
     jsonforms.getValueByJsonPointer = function(json, pointer) {
         if (!pointer) return json;
 
@@ -183,8 +971,91 @@ var jsonforms = (function(jsonforms) {
         return value;
     };
 
+    // set a value in json in place, missing objects on the way are created, an undefined value is deleted.
+    jsonforms.setValueByJsonPointer = function(json, pointer, value) {
+        if (!pointer) throw new Error("can't set the value of the root.");
+
+        var tokens = parseJsonPointer(pointer),
+            last = tokens.pop(),
+            current = json;
+        _.each(tokens, function(token) {
+            if (!_.isObject(current[token])) current[token] = {};
+            current = current[token];
+        });
+
+        if (value === undefined) delete current[last];
+        else current[last] = value;
+        return json;
+    };
+
+    // a RFC 6902 JSON Patch from ``from`` to ``to``, array items are compared by their indexes.
+    jsonforms.createPatch = function(from, to) {
+        var patch = [];
+
+        var diff = function(from, to, pointer) {
+            if (_.isEqual(from, to)) return;
+
+            var fromType = getDataType(from),
+                toType = getDataType(to),
+                i;
+            if (fromType === 'object' && toType === 'object') {
+                _.each(from, function(value, key) {
+                    if (!_.has(to, key)) patch.push({
+                        op: 'remove',
+                        path: pointer + '/' + escapeJsonPointerToken(key)
+                    });
+                });
+                _.each(to, function(value, key) {
+                    var path = pointer + '/' + escapeJsonPointerToken(key);
+                    if (_.has(from, key)) diff(from[key], value, path);
+                    else patch.push({
+                        op: 'add',
+                        path: path,
+                        value: value
+                    });
+                });
+            } else if (fromType === 'array' && toType === 'array') {
+                for (i = 0; i < Math.min(from.length, to.length); i++) diff(from[i], to[i], pointer + '/' + i);
+                // removed from the end, so that indexes of the remaining items are kept.
+                for (i = from.length - 1; i >= to.length; i--) patch.push({
+                    op: 'remove',
+                    path: pointer + '/' + i
+                });
+                for (i = from.length; i < to.length; i++) patch.push({
+                    op: 'add',
+                    path: pointer + '/' + i,
+                    value: to[i]
+                });
+            } else {
+                patch.push({
+                    op: 'replace',
+                    path: pointer,
+                    value: to
+                });
+            }
+        };
+
+        diff(from, to, '');
+        return patch;
+    };
+
+    // the parts of ``to`` that differ from ``from``: objects are compared property by property,
+    // removed properties are null.  undefined when nothing differs.
+    var getChangedValues = function(from, to) {
+        if (_.isEqual(from, to)) return undefined;
+        if (getDataType(from) !== 'object' || getDataType(to) !== 'object') return to === undefined ? null : to;
+
+        var changed = {};
+        _.each(_.union(_.keys(from), _.keys(to)), function(key) {
+            var value = getChangedValues(from[key], to[key]);
+            if (value !== undefined) changed[key] = value;
+        });
+        return changed;
+    };
+
     // when pointer points to a array item, return its innerField.
-    var getField = function(root, pointer) {
+    // @param includeUnavailable: optional, whether fields hidden by ``availableIf`` are found too.
+    var getField = function(root, pointer, includeUnavailable) {
         if (root instanceof ListItem) throw new Error("root can't be ListItem.");
 
         if (!pointer || pointer === '/') return root;
@@ -193,52 +1064,497 @@ var jsonforms = (function(jsonforms) {
             current = root;
 
         for (var i = 0; i < tokens.length; i++) {
+            // a variant field shares its Json Pointer with its innerField.
+            if (current instanceof FieldVariant) current = current.innerField;
             if (current === undefined || (!current.fields && !current.items))
                 throw new Error("can't find a field with Json Pointer `" + pointer + "`.");
-            current = current.fields ? current.fields[tokens[i]] : current.items[tokens[i]].innerField;
+            if (current.fields) current = (includeUnavailable ? current.allFields : current.fields)[tokens[i]] ||
+                (current.propertyList && current.propertyList.getInnerField('' + tokens[i]));
+            else current = current.items[tokens[i]] && current.items[tokens[i]].innerField;
         }
         if (!current) throw new Error("can't find a field with Json Pointer `" + pointer + "`.");
         return current;
     };
 
+    // the field of a Json Pointer, or its closest ancestor when it's not available, e.g. hidden by ``availableIf``.
+    var getClosestField = function(root, pointer) {
+        for (;;) {
+            try {
+                return getField(root, pointer);
+            } catch (e) {
+                if (!pointer || pointer === '/') throw e;
+                pointer = pointer.replace(/\/[^\/]*$/, '');
+            }
+        }
+    };
+
+    // fields of the properties of a FieldMap are followed by fields of its other properties(see PropertyList).
     var enumerateFields = function(rootField) {
         if (!rootField.fields && !rootField.items && !rootField.innerField) return [rootField];
 
+        var children = rootField.fields ? _.values(rootField.fields).concat(
+            rootField.propertyList ? _.pluck(rootField.propertyList.items, 'innerField') : []) :
+            rootField.items || [rootField.innerField];
         return [rootField].concat(
             _.flatten(
-                _.map(rootField.fields || rootField.items || [rootField.innerField], function(field) {
+                _.map(children, function(field) {
                     return enumerateFields(field);
                 })
             ));
     };
 
-    var clearErrors = function(field) {
-        var fields = enumerateFields(field);
-        _.each(fields, function(field) {
-            field.setError();
-        });
+    var getRootField = function(field) {
+        while (field.parent) field = field.parent;
+        return field;
     };
 
-    var getFullName = function(prefix, name) {
-        if (!prefix) return name || '';
-        if (!name) return prefix || '';
-        return prefix + '-' + name;
+    // the id of an element of a field, e.g. 'attributes-2-name', namespaced by ``idPrefix`` of the root when it's given,
+    // so that forms of the same schema can be on a page together, e.g. 'product-attributes-2-name'.
+    var getInputId = function(field, fullName) {
+        var idPrefix = getRootField(field).idPrefix;
+        return idPrefix ? idPrefix + '-' + fullName : fullName;
     };
 
-    var Editor = jsonforms.Editor = Backbone.View.extend({
-
-        initialize: function(options) {
-            // id, class and other html attrs are set with id, className and attributes properties of options by Backbone.
-            options = options || {};
-
-            _.extend(this, {},
-                _.pick(options, 'inputAttributes', 'dataType', 'schema'));
-            if (!this.inputAttributes) this.inputAttributes = {};
-
-            this.inputId = this.inputAttributes.id;
-            this.inputName = this.inputAttributes.name;
+    /**
+     * ``availableIf`` conditions
+     *
+     * a condition is an object whose entries must all hold:
+     *   - ``all: [conditions]``, ``any: [conditions]``, ``not: condition``: boolean logic.
+     *   - ``reference: test``: a test on the value of the referenced field.
+     *
+     * a reference is a sibling name(e.g. 'country'), a Json Pointer from the root(e.g. '/address/country'),
+     * or a relative Json Pointer from the object(e.g. '1/country' for a property of the parent object).
+     * unavailable fields have undefined values.
+     *
+     * a test is:
+     *   - a RegExp, tested against the value as a string.
+     *   - a function(value) returning whether it holds.
+     *   - comparisons, e.g. {gte: 18, lt: 65}.  see conditionOperators.
+     *   - any other value, which the value should equal, or an array value should contain.
+     *
+     * a condition can also be a function(getValue), where getValue(reference) returns the value of a field.
+     */
+    var conditionOperators = {
+        eq: function(value, operand) {
+            return _.isEqual(value, operand);
         },
-
+        ne: function(value, operand) {
+            return !_.isEqual(value, operand);
+        },
+        gt: function(value, operand) {
+            return value != null && value > operand;
+        },
+        gte: function(value, operand) {
+            return value != null && value >= operand;
+        },
+        lt: function(value, operand) {
+            return value != null && value < operand;
+        },
+        lte: function(value, operand) {
+            return value != null && value <= operand;
+        },
+        'in': function(value, operand) {
+            return _.some(operand, _.partial(_.isEqual, value));
+        },
+        nin: function(value, operand) {
+            return !_.some(operand, _.partial(_.isEqual, value));
+        },
+        exists: function(value, operand) {
+            var exists = value != null && value !== '';
+            return operand ? exists : !exists;
+        }
+    };
+
+    var isComparison = function(test) {
+        return _.isObject(test) && !_.isArray(test) && !_.isFunction(test) && !_.isRegExp(test) && !_.isEmpty(test) &&
+            _.every(_.keys(test), _.partial(_.has, conditionOperators));
+    };
+
+    var testValue = function(value, test) {
+        if (_.isFunction(test)) return !!test(value);
+        if (_.isRegExp(test)) return test.test('' + (value == null ? '' : value));
+        if (isComparison(test)) return _.every(test, function(operand, operator) {
+            return conditionOperators[operator](value, operand);
+        });
+        if (_.isArray(value) && !_.isArray(test)) return _.some(value, _.partial(_.isEqual, test));
+        return _.isEqual(value, test);
+    };
+
+    var evaluateCondition = function(condition, getValue) {
+        if (_.isFunction(condition)) return !!condition(getValue);
+
+        return _.every(condition, function(test, key) {
+            var evaluate = function(condition) {
+                return evaluateCondition(condition, getValue);
+            };
+
+            if (key === 'all') return _.every(test, evaluate);
+            if (key === 'any') return _.some(test, evaluate);
+            if (key === 'not') return !evaluate(test);
+            return testValue(getValue(key), test);
+        });
+    };
+
+    // the Json Pointer from the root of a reference in ``availableIf`` of a FieldMap's field,
+    // undefined for a sibling name.
+    var resolveReference = function(fieldMap, reference) {
+        if (reference.charAt(0) === '/') return reference;
+
+        var match = /^(\d+)(\/.*)$/.exec(reference);
+        if (!match) return undefined;
+
+        var pointer = getJsonPointer(fieldMap);
+        for (var i = +match[1]; i > 0; i--) {
+            if (!pointer) throw new Error("can't resolve `" + reference + "` beyond the root.");
+            pointer = pointer.replace(/\/[^\/]*$/, '');
+        }
+        return pointer + match[2];
+    };
+
+    // re-evaluate ``availableIf`` of all FieldMaps in the tree, until available fields are stable,
+    // since a condition may reference a field anywhere, including one shown by another condition.
+    var ensureAllDependencies = function(root) {
+        var changed = true,
+            ensure = function(field) {
+                if (field instanceof FieldMap && field.ensureDependencies()) changed = true;
+            };
+
+        for (var i = enumerateFields(root).length; changed && i >= 0; i--) {
+            changed = false;
+            _.each(enumerateFields(root), ensure);
+        }
+    };
+
+    // whether a value is valid against a schema by the built-in validator, nested values are checked too.
+    // used for conditions, e.g. ``if``, where ``required`` arrays are checked rather than ``required: true``.
+    var isValidValue = function(value, schema) {
+        if (validateValue(value, _.omit(schema, 'required')).length) return false;
+
+        if (getDataType(value) === 'object') {
+            if (_.some(schema.required, function(name) {
+                return value[name] == null;
+            })) return false;
+            return _.every(schema.properties, function(property, name) {
+                return value[name] == null || isValidValue(value[name], property);
+            });
+        }
+        if (_.isArray(value) && _.isObject(schema.items) && !_.isArray(schema.items)) return _.every(value, function(item) {
+            return isValidValue(item, schema.items);
+        });
+        return true;
+    };
+
+    // ``dependencies`` and ``if``/``then``/``else`` of an object schema, as a list of {holds, schema}:
+    //   holds: function(getValue), a condition like ``availableIf``.
+    //   schema: properties and required properties applied when the condition holds.
+    var getConditionalSchemas = function(schema, rootSchema, schemas, pointer) {
+        var conditionals = [],
+            resolve = function(schema, keyword) {
+                return resolveSchema(schema, rootSchema, schemas, pointer + '/' + keyword).schema;
+            };
+
+        _.each(schema.dependencies, function(dependency, name) {
+            conditionals.push({
+                holds: function(getValue) {
+                    return getValue(name) != null;
+                },
+                schema: _.isArray(dependency) ? {
+                    required: dependency
+                } : resolve(dependency, 'dependencies/' + escapeJsonPointerToken(name))
+            });
+        });
+
+        if (schema['if']) {
+            var ifSchema = resolve(schema['if'], 'if');
+            var matchesIf = function(getValue) {
+                var value = {};
+                _.each(_.union(_.keys(ifSchema.properties), ifSchema.required || []), function(name) {
+                    var propertyValue = getValue(name);
+                    if (propertyValue != null) value[name] = propertyValue;
+                });
+                return isValidValue(value, ifSchema);
+            };
+
+            if (schema.then) conditionals.push({
+                holds: matchesIf,
+                schema: resolve(schema.then, 'then')
+            });
+            if (schema['else']) conditionals.push({
+                holds: function(getValue) {
+                    return !matchesIf(getValue);
+                },
+                schema: resolve(schema['else'], 'else')
+            });
+        }
+        return conditionals;
+    };
+
+    var clearErrors = function(field) {
+        var fields = enumerateFields(field);
+        _.each(fields, function(field) {
+            field.setError();
+        });
+    };
+
+    // errors of a field against its own schema by the built-in validator, nested fields are not checked.
+    var getFieldErrors = function(field) {
+        if (field instanceof ListItem || field.schema.showOnly) return [];
+        return validateValue(field.getValue(), field.schema);
+    };
+
+    var showFieldErrors = function(field, errors) {
+        var messages = _.uniq(_.map(errors, function(error) {
+            return getErrorMessage(field.schema, error);
+        }));
+        field.setError(messages.length > 1 ? jsonforms.templates.errors({
+            errors: messages
+        }) : messages[0]);
+    };
+
+    // validate all available fields under ``root`` with the built-in validator.
+    // errors are in the format of tv4, e.g. {dataPath: '/attributes/0/name', keyword: 'required', message: '...'}
+    var validateFields = function(root) {
+        var rootPointer = getJsonPointer(root);
+
+        var errors = _.flatten(_.map(enumerateFields(root), function(field) {
+            var dataPath = getJsonPointer(field).slice(rootPointer.length);
+            return _.map(getFieldErrors(field), function(error) {
+                return _.extend({
+                    dataPath: dataPath
+                }, error);
+            });
+        }));
+
+        return {
+            valid: errors.length === 0,
+            errors: errors
+        };
+    };
+
+    // errors of keys of entries under ``root``(see PropertyList.checkKeys), e.g. a duplicate key, whose entries are
+    // missing in the value.  they point to the entries, and have the keyword 'propertyKey'.
+    var getKeyErrors = function(root) {
+        var rootPointer = getJsonPointer(root);
+
+        return _.flatten(_.map(enumerateFields(root), function(field) {
+            if (!field.propertyList) return [];
+
+            var pointer = getJsonPointer(field).slice(rootPointer.length);
+            return _.map(_.filter(field.propertyList.items, function(item) {
+                return item.keyError;
+            }), function(item) {
+                return {
+                    dataPath: pointer + '/' + escapeJsonPointerToken(item.key),
+                    keyword: 'propertyKey',
+                    message: item.keyError,
+                    params: {
+                        key: item.key
+                    }
+                };
+            });
+        }));
+    };
+
+    // Validate a Field or FieldList live with the built-in validator when ``liveValidation`` is given:
+    //   trigger: 'change'(default) or 'blur'.  FieldLists are validated on ``change:items`` too.
+    //   debounce: optional, milliseconds.
+    //   touchedOnly: optional, validate only after the field is changed or blurred once.
+    var bindLiveValidation = function(field) {
+        if (!field.liveValidation) return;
+
+        var options = _.defaults({}, field.liveValidation, {
+            trigger: 'change'
+        });
+
+        var validate = function() {
+            if (options.touchedOnly && !field.touched) return;
+            showFieldErrors(field, getFieldErrors(field));
+        };
+        if (options.debounce) validate = _.debounce(validate, options.debounce);
+
+        field.on(options.trigger, validate);
+        if (field instanceof FieldList) field.on('change:items', validate);
+    };
+
+    // set the value of a field, fields whose values are equal are left untouched to keep their editing states,
+    // e.g. the cursor position.
+    var updateFieldValue = function(field, value) {
+        if (field instanceof FieldMap && (value == null || getDataType(value) === 'object')) {
+            _.each(field.allFields, function(subField, name) {
+                updateFieldValue(subField, (value || {})[name]);
+            });
+            updatePropertyValues(field, value);
+        } else if (!_.isEqual(field.getValue(), value === undefined ? null : value)) field.setValue(value);
+    };
+
+    // set properties beyond ``properties`` of a FieldMap in ``value`` into its property list, when they differ.
+    var updatePropertyValues = function(fieldMap, value) {
+        if (!fieldMap.propertyList) return;
+
+        // entries without values yet(e.g. just added) are missing in values.
+        var properties = _.omit(value || {}, _.keys(fieldMap.allFields)),
+            current = _.omit(fieldMap.propertyList.getValue(), function(value) {
+                return value == null;
+            });
+        if (!_.isEqual(current, properties)) fieldMap.propertyList.setValue(properties, {
+            ignoreMissingValue: false
+        });
+    };
+
+    // null and undefined both mean no value.
+    var isSameValue = function(value, value2) {
+        return (value == null && value2 == null) || _.isEqual(value, value2);
+    };
+
+    // flag fields ``dirty``(the value differs from the pristine value of the root) and show the flags
+    // ``dirty`` and ``touched`` by class names.
+    var updateFieldStates = function(root) {
+        var rootPointer = getJsonPointer(root),
+            wasDirty = root.dirty;
+
+        _.each(enumerateFields(root), function(field) {
+            if (field instanceof ListItem) return;
+
+            var pristineValue = jsonforms.getValueByJsonPointer(root.pristineValue, getJsonPointer(field).slice(rootPointer.length)),
+                value = field.getValue();
+            field.dirty = !isSameValue(value, pristineValue);
+            field.$el.toggleClass(field.dirtyClassName, field.dirty).toggleClass(field.touchedClassName, !!field.touched);
+        });
+
+        if (root.dirty !== wasDirty) root.trigger('change:dirty', root, root.dirty);
+    };
+
+    // errors of Backbone.Model#validate: a message, errors in the common structure of validator adapters,
+    // or a map from attribute names or Json Pointers to messages.
+    var normalizeModelErrors = function(error) {
+        if (_.isArray(error)) return error;
+        if (_.isObject(error)) return _.map(error, function(message, key) {
+            return {
+                dataPath: key.charAt(0) === '/' ? key : '/' + escapeJsonPointerToken(key),
+                message: message
+            };
+        });
+        return [{
+            dataPath: '',
+            message: '' + error
+        }];
+    };
+
+    // two-way binding between a FieldMap(usually a Form) and a Backbone.Model whose attributes are its value:
+    //   - a field changed by users sets its Json Pointer only, e.g. '/address/city' sets the ``address`` attribute
+    //     with only ``city`` changed.
+    //   - changed attributes of the model are set into their fields, without re-rendering.
+    //   - ``validationError`` of the model is shown by setErrors.
+    var bindModel = function(fieldMap, model) {
+        var writing = false,
+            errorsShown = false;
+
+        var showErrors = function() {
+            if (model.validationError) {
+                fieldMap.setErrors(normalizeModelErrors(model.validationError));
+                errorsShown = true;
+            } else if (errorsShown) {
+                fieldMap.clearErrors();
+                errorsShown = false;
+            }
+        };
+
+        fieldMap.on('change', function(fieldMap, origin) {
+            var basePointer = getJsonPointer(fieldMap),
+                pointer = getJsonPointer(origin).slice(basePointer.length),
+                value = origin.getValue(),
+                options = {
+                    validate: true
+                };
+
+            writing = true;
+            if (!pointer) {
+                // e.g. a property renamed or removed.
+                _.each(_.difference(_.keys(model.attributes), _.keys(value)), function(attr) {
+                    model.unset(attr, options);
+                });
+                model.set(value, options);
+            } else {
+                var attr = parseJsonPointer(pointer)[0],
+                    nestedPointer = pointer.slice(escapeJsonPointerToken(attr).length + 1);
+                if (nestedPointer) value = jsonforms.setValueByJsonPointer(
+                    JSON.parse(JSON.stringify(model.get(attr) || {})), nestedPointer, value == null ? undefined : value);
+
+                if (value == null) model.unset(attr, options);
+                else model.set(attr, value, options);
+            }
+            writing = false;
+            showErrors();
+        });
+
+        fieldMap.listenTo(model, 'change', function() {
+            if (writing) return;
+
+            _.each(model.changedAttributes(), function(value, attr) {
+                if (fieldMap.allFields[attr]) updateFieldValue(fieldMap.allFields[attr], value);
+            });
+            updatePropertyValues(fieldMap, model.toJSON());
+            ensureAllDependencies(getRootField(fieldMap));
+        });
+        fieldMap.listenTo(model, 'invalid', showErrors);
+        fieldMap._showModelErrors = showErrors;
+    };
+
+    // elements matching ``selector`` in a view, excluding those of the nested views inside ``container``.
+    var findOwn = function(view, selector, container) {
+        return view.$(selector).filter(function() {
+            return !$.contains(container, this);
+        });
+    };
+
+    // the element adopted by ``attach`` of a view, which is missing when the markup isn't rendered for the same value.
+    var ensureMarkup = function(el, view) {
+        if (!el) throw new Error('no markup for the field: "' + getJsonPointer(view) + '".');
+        return el;
+    };
+
+    // whether a click on a ``data-action`` element should be handled by a view,
+    // clicks on actions of nested views inside ``container`` bubble to the view too.
+    var isOwnEnabledAction = function(event, container) {
+        var $target = $(event.currentTarget);
+        return !$.contains(container, event.currentTarget) && !$target.hasClass('disabled') && !$target.prop('disabled');
+    };
+
+    // read a message by screen readers through a live region shared by forms.
+    var announce = function(message) {
+        var $region = $('#jsonforms-announcer');
+        if (!$region.length)
+            $region = $('<div id="jsonforms-announcer" class="sr-only" role="status" aria-live="polite"></div>').appendTo(document.body);
+        $region.text(message);
+    };
+
+    var getFullName = function(prefix, name) {
+        if (!prefix) return name || '';
+        if (!name) return prefix || '';
+        return prefix + '-' + name;
+    };
+
+    // replace the value of an attribute(e.g. ``for`` of labels) of $el and its descendants.
+    var replaceAttr = function($el, attr, from, to) {
+        $el.find('[' + attr + ']').add($el.filter('[' + attr + ']')).filter(function() {
+            return $(this).attr(attr) === from;
+        }).attr(attr, to);
+    };
+
+    var Editor = jsonforms.Editor = Backbone.View.extend({
+
+        initialize: function(options) {
+            // id, class and other html attrs are set with id, className and attributes properties of options by Backbone.
+            options = options || {};
+
+            _.extend(this, {},
+                _.pick(options, 'inputAttributes', 'dataType', 'schema'));
+            if (!this.inputAttributes) this.inputAttributes = {};
+
+            this.inputId = this.inputAttributes.id;
+            this.inputName = this.inputAttributes.name;
+        },
+
         events: {
             'change': function() {
                 this.trigger('change', this);
@@ -253,8 +1569,22 @@ var jsonforms = (function(jsonforms) {
             throw new Error('not implemented');
         },
 
+        // update input attributes(id, name) without re-rendering, so that the value is kept.
+        setInputAttributes: function(attributes) {
+            _.extend(this.inputAttributes, attributes);
+            this.inputId = this.inputAttributes.id;
+            this.inputName = this.inputAttributes.name;
+            this.$el.attr(attributes);
+        },
+
         render: function() {
             return this;
+        },
+
+        // adopt the element rendered by ``render``, e.g. by renderToString, without building it again.
+        attach: function(el) {
+            this.setElement(el);
+            return this;
         }
     });
 
@@ -268,7 +1598,7 @@ var jsonforms = (function(jsonforms) {
                 name: '',
                 prefix: '',
                 templates: jsonforms.templates
-            }, _.pick(options, 'name', 'prefix', 'parent', 'templates'));
+            }, _.pick(options, 'name', 'prefix', 'parent', 'templates', 'liveValidation'));
 
             this.fullName = getFullName(this.prefix, this.name);
 
@@ -281,39 +1611,107 @@ var jsonforms = (function(jsonforms) {
 
             this.serialize = this.schema.serialize;
             this.deserialize = this.schema.deserialize;
+            this.value = getDefaultValue(this.schema);
+
+            bindLiveValidation(this);
         },
 
-        render: function() {
-            if (this.editor) this.editor.remove();
+        events: {
+            'focusout': function() {
+                this.touched = true;
+                this.$el.addClass(this.touchedClassName);
+                this.trigger('blur', this);
+            }
+        },
 
-            var inArray = false,
-                parent = this;
-            while (parent)
-                if ((parent = parent.parent) instanceof ListItem) {
-                    inArray = true;
-                    break;
-                }
+        // called when ``dependencies`` or ``if``/``then``/``else`` of the parent object require the field or not.
+        setRequired: function(required) {
+            this.schema.required = required;
+            if (this.editor) this.editor.setInputAttributes({
+                required: required
+            });
+        },
+
+        // called when the array item containing the field is re-indexed.
+        setPrefix: function(prefix) {
+            var oldFullName = this.fullName;
+
+            this.prefix = prefix;
+            this.fullName = getFullName(this.prefix, this.name);
+            if (!this.editor || this.fullName === oldFullName) return;
+
+            var oldId = this.editor.inputId;
+            // id and name given in ``inputAttributes`` are kept.
+            this.editor.setInputAttributes(_.omit({
+                id: getInputId(this, this.fullName),
+                name: this.fullName
+            }, _.keys(this.schema.inputAttributes)));
+            replaceAttr(this.$el, 'for', oldId, this.editor.inputId);
+            replaceAttr(this.$el, 'data-field', oldFullName, this.fullName);
+        },
+
+        // fields in array items and property entries are rendered inline, with their titles as placeholders.
+        isInItem: function() {
+            var parent = this;
+            while ((parent = parent.parent))
+                if (parent instanceof ListItem || parent instanceof PropertyItem) return true;
+            return false;
+        },
+
+        // create the editor when the field is rendered or attached, replacing the old one.
+        initEditor: function() {
+            if (this.editor) {
+                this.value = this.getValue(); // the value in the old editor.
+                this.editor.remove();
+            }
 
-            var editor = this.editor = createEditor(this.schema, this.fullName, inArray ? this.schema.title : null);
+            var editor = this.editor = createEditor(this.schema, this.fullName,
+                this.isInItem() ? translate(this.schema.title) : null, getInputId(this, this.fullName));
             editor.on('change', function() {
+                this.touched = true;
                 this.trigger('change', this);
             }, this);
+            return editor;
+        },
+
+        render: function() {
+            var editor = this.initEditor(),
+                inItem = this.isInItem();
 
-            if (editor.hidden) return this.setElement(editor.render().el);
+            if (editor.hidden) {
+                this.setElement(editor.render().el);
+            } else {
+                var template = this.templates[this.schema.templateName || (inItem ? 'field-inline' : 'field')];
+
+                var $field = $(template(_.defaults({
+                    editor: this.editor,
+                    fullName: this.fullName
+                }, this.schema)));
+
+                $field.find('[data-editor]')
+                    .add($field.filter('[data-editor]'))
+                    .eq(0)
+                    .append(editor.render().el);
+
+                this.setElement($field);
+            }
+
+            // the editor shows the value set before rendering.
+            if (this.value !== undefined) editor.setValue(this.serialize ? this.serialize(this.value) : this.value);
 
-            var template = this.templates[this.schema.templateName || (inArray ? 'field-inline' : 'field')];
+            return this;
+        },
 
-            var $field = $(template(_.defaults({
-                editor: this.editor,
-                fullName: this.fullName
-            }, this.schema)));
+        // adopt markup rendered for the same schema and value(see renderToString) instead of rendering.
+        attach: function(el) {
+            var editor = this.initEditor();
 
-            $field.find('[data-editor]')
-                .add($field.filter('[data-editor]'))
-                .eq(0)
-                .append(editor.render().el);
+            this.setElement(ensureMarkup(el, this));
+            editor.attach(ensureMarkup(editor.hidden ? el :
+                this.$('[data-editor]').add(this.$el.filter('[data-editor]')).eq(0).children()[0], this));
 
-            this.setElement($field);
+            // editors keeping values out of the markup(e.g. File) are synced too.
+            if (this.value !== undefined) editor.setValue(this.serialize ? this.serialize(this.value) : this.value);
 
             return this;
         },
@@ -330,22 +1728,30 @@ var jsonforms = (function(jsonforms) {
             }
         },
 
+        // the value is kept in ``value``, which is read from the editor while it's rendered.
         getValue: function() {
-            var value = this.editor.getValue();
-            // both null and "" can pass "required" constraint in json schema validation.
-            // properties with `undefined` value will be ignored during JSON.stringify,
-            // however, items with `undefined` value in an array will be serialized to `null`.
-            if (value == null || value === "") value = null;
-            return this.deserialize ? this.deserialize(value) : value;
+            if (this.editor) {
+                var value = this.editor.getValue();
+                // both null and "" can pass "required" constraint in json schema validation.
+                // properties with `undefined` value will be ignored during JSON.stringify,
+                // however, items with `undefined` value in an array will be serialized to `null`.
+                if (value == null || value === "") value = null;
+                this.value = this.deserialize ? this.deserialize(value) : value;
+            }
+            return this.value == null || this.value === "" ? null : this.value;
         },
 
-        setValue: function(value) {
-            this.editor.setValue(this.serialize ? this.serialize(value): value);
+        // options.defaults: see FieldMap.setValue.
+        setValue: function(value, options) {
+            if (value === undefined && (options || {}).defaults) value = getDefaultValue(this.schema);
+
+            this.value = value;
+            if (this.editor) this.editor.setValue(this.serialize ? this.serialize(value): value);
         },
 
         remove: function() {
             delete this.parent;
-            this.editor.remove();
+            if (this.editor) this.editor.remove();
             Backbone.View.prototype.remove.call(this);
         }
     });
@@ -355,6 +1761,29 @@ var jsonforms = (function(jsonforms) {
 
         templateName: 'object',
 
+        // tabs and collapsible fieldsets of the layout.
+        events: {
+            'click [data-layout-tab]': function(e) {
+                e.preventDefault();
+                if (!isOwnLayoutElement(this, e.currentTarget)) return;
+
+                var index = $(e.currentTarget).attr('data-layout-tab'),
+                    $tabs = $(e.currentTarget).closest('[data-layout="tabs"]');
+                $tabs.find('[data-layout-tab], [data-layout-pane]').filter(function() {
+                    return $(this).closest('[data-layout="tabs"]')[0] === $tabs[0];
+                }).each(function(i, el) {
+                    $(el).toggleClass('active', ($(el).attr('data-layout-tab') || $(el).attr('data-layout-pane')) === index);
+                });
+            },
+            'click [data-layout-toggle]': function(e) {
+                e.preventDefault();
+                if (!isOwnLayoutElement(this, e.currentTarget)) return;
+
+                var $fieldset = $(e.currentTarget).closest('[data-layout="fieldset"]');
+                $fieldset.toggleClass('collapsed').children('[data-layout-items]').toggle(!$fieldset.hasClass('collapsed'));
+            }
+        },
+
         initialize: function(options) {
             options = options || {};
 
@@ -362,8 +1791,10 @@ var jsonforms = (function(jsonforms) {
                     title: prettify(options.name),
                     description: ''
                 },
-                options.schema);
+                mergeAllOf(options.schema, options.rootSchema || options.schema, options.schemas, ''));
 
+            // properties may be shared by other schemas through ``$ref``, don't modify it in place.
+            schema.properties = _.clone(schema.properties);
             _.each(schema.required || [], function(prop) {
                 schema.properties[prop] = _.defaults({
                     required: true
@@ -373,10 +1804,46 @@ var jsonforms = (function(jsonforms) {
             _.extend(this, {
                 name: '',
                 prefix: '',
-                templates: jsonforms.templates
-            }, _.pick(options, 'name', 'prefix', 'parent', 'templates'));
+                templates: jsonforms.templates,
+                rootSchema: options.schema
+            }, _.pick(options, 'name', 'prefix', 'parent', 'templates', 'liveValidation', 'layout', 'rootSchema', 'schemas'));
 
             this.fullName = getFullName(this.prefix, this.name);
+            // the schema before ``$ref`` and ``allOf`` are resolved, by which recursive schemas are found(see createField).
+            this.schemaSource = options.schemaSource || options.schema;
+            // idPrefix: optional, prefix of ids in the form(see getInputId), ids are the full names by default.
+            if (!this.parent) this.idPrefix = options.idPrefix || '';
+            // a root re-renders itself when the locale is switched.
+            if (!this.parent) this.listenTo(jsonforms, 'change:locale', this.rerender);
+
+            this.requiredNames = schema.required || [];
+
+            // properties of ``dependencies`` and ``if``/``then``/``else`` are available only when a condition
+            // defining them holds, and so are their required properties.
+            var conditionals = this.conditionalSchemas = getConditionalSchemas(schema, this.rootSchema, this.schemas,
+                getJsonPointer(this));
+            _.each(conditionals, function(conditional) {
+                _.each(conditional.schema.properties, function(property, name) {
+                    if (_.has(schema.properties, name)) return;
+
+                    var definingConditionals = _.filter(conditionals, function(conditional) {
+                        return conditional.schema.properties && _.has(conditional.schema.properties, name);
+                    });
+                    schema.properties[name] = _.extend({}, property, {
+                        availableIf: function(getValue) {
+                            return _.some(definingConditionals, function(conditional) {
+                                return conditional.holds(getValue);
+                            }) && (!property.availableIf || evaluateCondition(property.availableIf, getValue));
+                        }
+                    });
+                });
+            });
+
+            // layout: optional, see Layouts.
+            _.each(getLayoutFields(this.layout), function(element) {
+                if (element.field !== '*' && !_.has(schema.properties, element.field))
+                    throw new Error('unknown field in the layout: "' + element.field + '".');
+            });
 
             var fieldNames = _.keys(this.schema.properties);
 
@@ -388,35 +1855,146 @@ var jsonforms = (function(jsonforms) {
                 }, this)
             );
 
-            _.each(this.allFields, function(field) {
-                field.on('change', function(field) {
-                    this.ensureDependencies(field);
-                    this.trigger('change', this);
+            // properties beyond ``properties`` are edited by a property list.
+            if (_.isObject(schema.additionalProperties) || !_.isEmpty(schema.patternProperties))
+                this.propertyList = new PropertyList({
+                    parent: this
+                });
+
+            // ``default`` of the object overrides those of its properties.
+            _.each(getDefaultValue(schema), function(value, name) {
+                if (this.allFields[name]) this.allFields[name].setValue(value);
+                else if (this.propertyList) this.propertyList.setValue(_.object([name], [value]));
+            }, this);
+
+            // ``change`` of containers carries the field changed originally.
+            _.each(_.compact(_.values(this.allFields).concat(this.propertyList)), function(field) {
+                field.on('change', function(field, origin) {
+                    this.ensureDependencies();
+                    if (!this.parent) {
+                        ensureAllDependencies(this);
+                        updateFieldStates(this);
+                    }
+                    this.trigger('change', this, origin || field);
                 }, this);
             }, this);
+
+            this.ensureDependencies();
+            if (!this.parent) {
+                ensureAllDependencies(this);
+                this.setPristine();
+            }
+
+            // model: optional, a Backbone.Model bound to the value, see bindModel.
+            if (this.model) {
+                bindModel(this, this.model);
+                // the model is the source of values, including defaults(see Backbone.Model.defaults).
+                this.setValue(this.model.toJSON(), {
+                    defaults: false
+                });
+            }
         },
 
         render: function() {
-            var fields = this.allFields;
+            var allFields = this.allFields,
+                fields = this.fields = {};
 
             var template = this.templates[this.schema.templateName || this.templateName];
 
             var $content = $(template(this));
             this.$errorEl = $content.find('[data-error]');
 
+            // the layout replaces the container of all fields.
+            var $layoutContainer;
+            if (this.layout) {
+                $layoutContainer = $content.find('[data-fields="*"]').add($content.filter('[data-fields="*"]')).first();
+                $layoutContainer.removeAttr('data-fields').append(renderLayout(this));
+            }
+
             $content.find('[data-fields]').add($content.filter('[data-fields]')).each(function(i, el) {
                 var $el = $(el),
                     selection = $el.attr('data-fields');
 
-                var names = (selection == '*') ? _.keys(fields) : _.map(selection.split(','), $.trim);
+                var names = (selection == '*') ? _.keys(allFields) : _.map(selection.split(','), $.trim);
                 _.each(names, function(name) {
-                    var field = fields[name].render();
-                    if (!field.schema.availableIf) $el.append(field.el);  // conditional-exists fields ain't shown.
+                    var field = allFields[name].render();
+                    if (field.schema.availableIf) return; // conditional-exists fields ain't shown until evaluated.
+                    $el.append(field.el);
+                    fields[name] = field;
                 });
             });
+            // other properties follow the fields.
+            if (this.propertyList) {
+                var $container = $layoutContainer || $content.find('[data-fields]').add($content.filter('[data-fields]')).last();
+                if ($container.is($content)) $container.append(this.propertyList.render().el);
+                else $container.after(this.propertyList.render().el);
+            }
             $content.addClass(this.className);
             this.setElement($content);
 
+            this.ensureDependencies();
+            if (!this.parent) {
+                ensureAllDependencies(this);
+                updateFieldStates(this);
+            }
+            if (this.model) this._showModelErrors();
+            return this;
+        },
+
+        // adopt markup rendered for the same schema and value(see renderToString) instead of rendering.
+        // elements in containers are matched with the available fields in order.
+        attach: function(el) {
+            var allFields = this.allFields,
+                fields = this.fields,
+                $el = $(ensureMarkup(el, this)),
+                attached = {};
+
+            // containers of nested fields are inside the containers or the property list of the field map.
+            var $containers = $el.is('[data-fields]') ? $el : $el.find('[data-fields]').filter(function() {
+                return $(this).parentsUntil(el, '[data-fields], [data-properties]').length === 0;
+            });
+
+            $containers.each(function(i, container) {
+                var selection = $(container).attr('data-fields'),
+                    $children = $(container).children();
+
+                var names = (selection == '*') ? _.keys(allFields) : _.map(selection.split(','), $.trim);
+                _.each(_.filter(names, function(name) {
+                    return fields[name];
+                }), function(name, j) {
+                    attached[name] = fields[name].attach($children[j]);
+                });
+            });
+            // the other fields are rendered, they're shown once they become available.
+            _.each(allFields, function(field, name) {
+                if (!attached[name]) field.render();
+            });
+
+            var isOwn = function(i, descendant) {
+                return !_.some(attached, function(field) {
+                    return $.contains(field.el, descendant);
+                }) && $(descendant).parentsUntil(el, '[data-properties]').length === 0;
+            };
+            if (this.propertyList) this.propertyList.attach($el.find('[data-properties]').filter(isOwn)[0]);
+            this.$errorEl = $el.find('[data-error]').filter(isOwn);
+            this.setElement($el);
+
+            this.ensureDependencies();
+            if (!this.parent) {
+                ensureAllDependencies(this);
+                updateFieldStates(this);
+            }
+            if (this.model) this._showModelErrors();
+            return this;
+        },
+
+        // re-render in place, e.g. when the locale is switched.  values are kept by fields.
+        rerender: function() {
+            if (!this.$errorEl) return this; // not rendered yet.
+
+            var $oldEl = this.$el;
+            this.render();
+            $oldEl.replaceWith(this.el);
             return this;
         },
 
@@ -434,6 +2012,7 @@ var jsonforms = (function(jsonforms) {
                 }), function(field) {
                     return [field.name, field.getValue(options)];
                 });
+            if (this.propertyList) values = values.concat(_.pairs(this.propertyList.getValue(options)));
 
             if (!keepNullValues)
                 values = _.filter(values, function(nvp) {
@@ -443,59 +2022,118 @@ var jsonforms = (function(jsonforms) {
         },
 
         // by defaults, missing values won't be set.
+        // options.defaults: true to fill missing values with ``default``s of schemas, e.g. for creating a record,
+        //     false to empty them, so that defaults of a new field map aren't left in a record being edited.
         setValue: function(value, options) {
-            var ignoreMissingValue = (options || {}).ignoreMissingValue;
-            if (ignoreMissingValue === undefined) ignoreMissingValue = true;
+            options = options || {};
+            var ignoreMissingValue = ignoresMissingValues(options);
 
             value = value || {};
+            if (options.defaults) value = _.extend({}, getDefaultValue(this.schema), value);
 
             _.each(this.allFields, function(field, name) {
                 if (!ignoreMissingValue || _.has(value, name)) field.setValue(value[name], options);
             });
+            if (this.propertyList) this.propertyList.setValue(_.omit(value, _.keys(this.allFields)), options);
 
             this.ensureDependencies();
+            if (!this.parent) {
+                ensureAllDependencies(this);
+                this.setPristine();
+            }
         },
 
-        ensureDependencies: function(changedField) {
-            if (changedField !== undefined && _.every(this.allFields, function(field) {
-                return !field.schema.availableIf || _.indexOf(_.keys(field.schema.availableIf), changedField.name) === -1;
-            })) return;
-            
-            var allFields = this.allFields;
-            var fields = this.fields = {};
-
-            var isAvailable = function(field) {
-                if (!field.schema.availableIf) return true;
-
-                var kvp = _.pairs(field.schema.availableIf)[0], // kvp[0]: key, kvp[1]: testValue
-                    // value should be got just before comparison in order for chain dependencies working correctly.
-                    value = fields[kvp[0]] ? fields[kvp[0]].getValue() : undefined;
-
-                if (_.isRegExp(kvp[1])) return kvp[1].test('' + (value == null ? '' : value));
-                else if (hasDataType(field.schema.type, 'array')) return _.contains(value, kvp[1]);
-                else return _.isEqual(value, kvp[1]);
+        // evaluate ``availableIf`` of the fields, and show available ones.
+        // @return whether available fields are changed.
+        ensureDependencies: function() {
+            var allFields = this.allFields,
+                oldNames = _.keys(this.fields),
+                root = getRootField(this),
+                self = this;
+
+            // value should be got just before evaluation in order for chain dependencies working correctly.
+            // unavailable fields have no values, e.g. a condition on one hidden by another condition doesn't hold.
+            var getValue = function(reference) {
+                var pointer = resolveReference(self, reference);
+                if (pointer === undefined) return self.fields[reference] ? self.fields[reference].getValue() : undefined;
+
+                try {
+                    return getField(root, pointer).getValue();
+                } catch (e) {
+                    return undefined; // not available.
+                }
             };
 
-            _.each(this.allFields, function(f) {
-                f.$el.detach();
-            });
-
-            this.$el.find('[data-fields]').add(this.$el.filter('[data-fields]')).each(function(i, el) {
-                var $el = $(el),
-                    selection = $el.attr('data-fields');
+            // all fields are selected before rendering.  once rendered, containers of nested fields are excluded.
+            var $containers = $(),
+                selections = [_.keys(allFields)];
+            if (this.$errorEl) {
+                $containers = this.$el.find('[data-fields]').add(this.$el.filter('[data-fields]')).filter(function() {
+                    var el = this;
+                    return !_.some(_.compact(_.values(allFields).concat(self.propertyList)), function(field) {
+                        return $.contains(field.el, el);
+                    });
+                });
+                selections = _.map($containers.get(), function(el) {
+                    var selection = $(el).attr('data-fields');
+                    return (selection == '*') ? _.keys(allFields) : _.map(selection.split(','), $.trim);
+                });
+            }
 
-                var names = (selection == '*') ? _.keys(allFields) : _.map(selection.split(','), $.trim);
-                _.each(names, function(name) {
-                    var field = allFields[name];
-                    if (isAvailable(field)) {
-                        $el.append(field.el);
-                        fields[name] = field;
-                    } 
+            // conditions are evaluated against the fields available so far(all of them at first), so that they may
+            // reference fields declared later, until the available fields are stable.  pointers to fields of the
+            // field map(see getField) go through ``fields`` too.
+            var names = _.flatten(selections),
+                fields = this.fields || _.pick(allFields, names),
+                isAvailable = function(name) {
+                    var availableIf = allFields[name].schema.availableIf;
+                    return !availableIf || evaluateCondition(availableIf, getValue);
+                };
+            for (var i = 0; i <= names.length; i++) {
+                this.fields = fields;
+                fields = _.pick(allFields, _.filter(names, isAvailable));
+                if (_.isEqual(_.keys(fields), _.keys(this.fields))) break;
+            }
+            this.fields = fields;
+
+            var requiredNames = _.union.apply(_, [this.requiredNames].concat(_.map(this.conditionalSchemas, function(conditional) {
+                return conditional.schema.required && conditional.holds(getValue) ? conditional.schema.required : [];
+            })));
+            _.each(allFields, function(field, name) {
+                var required = _.contains(requiredNames, name);
+                // objects and arrays are always present in values, their ``required`` is left as is.
+                if (field.setRequired && (field.schema.required === true) !== required) field.setRequired(required);
+            });
+
+            if (_.isEqual(_.keys(fields), oldNames)) return false;
+
+            _.each(allFields, function(field) {
+                field.$el.detach();
+            });
+            _.each($containers.get(), function(el, i) {
+                _.each(selections[i], function(name) {
+                    if (fields[name]) $(el).append(fields[name].el);
                 });
             });
+            return true;
+        },
+
+        // called when the array item containing the field map is re-indexed.
+        setPrefix: function(prefix) {
+            var oldFullName = this.fullName;
+
+            this.prefix = prefix;
+            this.fullName = getFullName(this.prefix, this.name);
+            if (this.fullName === oldFullName) return;
+
+            replaceAttr(this.$el, 'data-field', oldFullName, this.fullName);
+            _.invoke(this.allFields, 'setPrefix', this.fullName);
+            if (this.propertyList) this.propertyList.setPrefix(this.fullName);
         },
 
         setError: function(error) {
+            if (!this.$errorEl) return; // not rendered yet.
+
             if (!error) {
                 this.$errorEl.empty();
                 this.$errorEl.removeClass(this.errorClassName);
@@ -505,21 +2143,141 @@ var jsonforms = (function(jsonforms) {
             }
         },
 
+        // record the current value as the pristine value, which is recorded by setValue and render too.
+        setPristine: function() {
+            this.pristineValue = JSON.parse(JSON.stringify(this.getValue()));
+            updateFieldStates(this);
+        },
+
+        // whether the value differs from the pristine value.
+        isDirty: function() {
+            return !_.isEqual(this.getValue(), this.pristineValue);
+        },
+
+        // restore the pristine value, flags of fields and errors are cleared.
+        reset: function() {
+            this.setValue(this.pristineValue, {
+                ignoreMissingValue: false
+            });
+            _.each(enumerateFields(this), function(field) {
+                field.touched = false;
+            });
+            this.clearErrors();
+            updateFieldStates(this);
+            this.trigger('reset', this);
+        },
+
+        // a RFC 6902 JSON Patch from the pristine value to the current value.
+        getPatch: function() {
+            return jsonforms.createPatch(this.pristineValue, this.getValue());
+        },
+
+        // the changed parts of the value, e.g. {address: {city: 'Paris'}, phone: null} when only the city is changed
+        // and the phone is removed.
+        getChangedValues: function() {
+            return getChangedValues(this.pristineValue, this.getValue()) || {};
+        },
+
+        // @param errors: errors in the common structure of validator adapters, e.g. form.lastErrors.
+        //     an error whose field isn't available(e.g. hidden by ``availableIf``) is shown on its closest ancestor.
+        // @param options.pointerAttrName, options.messageAttrName: optional, for errors in other structures.
+        setErrors: function(errors, options) {
+            options = options || {};
+            var pointerAttrName = options.pointerAttrName || 'dataPath';
+            var messageAttrName = options.messageAttrName || 'message';
+
+            this.clearErrors();
+
+            // errors of keys are shown by the keys, their pointers may be those of other fields, e.g. duplicate keys.
+            errors = _.reject(errors, function(err) {
+                return err.keyword === 'propertyKey';
+            });
+            if (!errors || errors.length === 0) return;
+
+            // merge errors with same dataPath
+            var errorGroups = _.groupBy(errors, function(err) {
+                var pointer = err[pointerAttrName];
+                return pointer === '' ? '/' : pointer;
+            });
+
+            _.each(errorGroups, function(errors, pointer) {
+                var field = getClosestField(this, pointer),
+                    messages = _.uniq(_.map(errors, function(err) {
+                        return getErrorMessage(field.schema, err, messageAttrName);
+                    }));
+
+                var message;
+                if (messages.length === 1) {
+                    message = messages[0];
+                } else {
+                    message = jsonforms.templates.errors({
+                        errors: messages
+                    });
+                }
+
+                field.setError(message);
+                // items containing errors are expanded.
+                for (var parent = field.parent; parent; parent = parent.parent)
+                    if (parent instanceof ListItem) parent.setCollapsed(false);
+            }, this);
+        },
+
+        clearErrors: function() {
+            clearErrors(this);
+        },
+
         remove: function() {
             delete this.parent;
             _.invoke(this.allFields, 'remove');
+            if (this.propertyList) this.propertyList.remove();
             return Backbone.View.prototype.remove.apply(this, arguments);
         }
 
     });
 
 
+    // additional items of a tuple without a schema(``additionalItems`` is absent or true) may be any value.
+    // they're edited as JSON, while texts that aren't JSON are strings, e.g. 'abc', 12 and '"12"'(a string).
+    var anyItemSchema = {
+        type: 'any',
+        serialize: function(value) {
+            if (value == null) return value;
+            if (!_.isString(value)) return JSON.stringify(value);
+            try {
+                JSON.parse(value);
+                return JSON.stringify(value);
+            } catch (e) {
+                return value;
+            }
+        },
+        deserialize: function(text) {
+            if (text == null) return text;
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return text;
+            }
+        }
+    };
+
     var FieldList = Backbone.View.extend({
 
+        duplicateItemMessage: 'duplicateItem', // a key of locales.
+
         events: {
             'click [data-action="add"]': function(event) {
                 event.preventDefault();
+                if (!isOwnEnabledAction(event, this.$list[0])) return;
                 this.addItem();
+                this.trigger('change', this);
+            },
+            'click [data-action="expandAll"]': function(event) {
+                event.preventDefault();
+                if (isOwnEnabledAction(event, this.$list[0])) this.expandAll();
+            },
+            'click [data-action="collapseAll"]': function(event) {
+                event.preventDefault();
+                if (isOwnEnabledAction(event, this.$list[0])) this.collapseAll();
             }
         },
 
@@ -529,8 +2287,9 @@ var jsonforms = (function(jsonforms) {
             _.extend(this, {
                 name: '',
                 prefix: '',
-                templates: jsonforms.templates
-            }, _.pick(options, 'name', 'prefix', 'parent', 'templates'));
+                templates: jsonforms.templates,
+                rootSchema: options.schema
+            }, _.pick(options, 'name', 'prefix', 'parent', 'templates', 'liveValidation', 'layout', 'rootSchema', 'schemas'));
 
             this.fullName = getFullName(this.prefix, this.name);
 
@@ -540,7 +2299,26 @@ var jsonforms = (function(jsonforms) {
                 },
                 options.schema);
 
+            // a tuple(``items`` is an array of schemas) has a fixed item for each position,
+            // additional items are allowed unless ``additionalItems`` is false, any values without its schema.
+            var tuple = _.isArray(this.schema.items);
+            this.fixedCount = tuple ? this.schema.items.length : 0;
+            this.additionalItemsAllowed = !tuple || this.schema.additionalItems !== false;
+
             this.items = [];
+            for (var i = 0; i < this.fixedCount; i++) this.addItem(i);
+            // a new array has its ``default``, or ``minItems`` items with defaults of ``items``.
+            this.setValue(undefined, {
+                defaults: true
+            });
+
+            this.on('change:items', function() {
+                this.touched = true;
+                this.reindexItems();
+                this.updateButtonState();
+                this.checkUniqueItems();
+            }, this);
+            bindLiveValidation(this);
         },
 
         render: function() {
@@ -549,32 +2327,121 @@ var jsonforms = (function(jsonforms) {
 
             this.$list = $el.is('[data-items]') ? $el : $el.find('[data-items]');
             this.$errorEl = $el.find('[data-error]');
+            if (!this.additionalItemsAllowed) $el.find('[data-action="add"]').remove();
 
             this.setElement($el);
             this.$el.attr('name', this.name);
 
+            _.each(this.items, function(item) {
+                this.$list.append(item.render().el);
+            }, this);
+            this.updateButtonState();
+            _.invoke(this.items, 'updateButtonState');
+            this.checkUniqueItems();
+
+            return this;
+        },
+
+        // adopt markup rendered for the same schema and value(see renderToString) instead of rendering.
+        attach: function(el) {
+            var $el = $(ensureMarkup(el, this));
+
+            // lists of nested items come after the list of the field list.
+            this.$list = $el.is('[data-items]') ? $el : $el.find('[data-items]').eq(0);
+            this.$errorEl = $el.find('[data-error]').filter(_.bind(function(i, errorEl) {
+                return !$.contains(this.$list[0], errorEl);
+            }, this));
+            this.setElement($el);
+
+            var $children = this.$list.children();
+            _.each(this.items, function(item, i) {
+                item.attach($children[i]);
+            });
+            this.updateButtonState();
+            _.invoke(this.items, 'updateButtonState');
+            this.checkUniqueItems();
+
             return this;
         },
 
+        // keep the id/name attributes of all descendants in sync with the current indexes of items,
+        // e.g. 'attributes-2-name'.
+        reindexItems: function() {
+            _.each(this.items, function(item, index) {
+                item.index = index;
+                item.setPrefix(getFullName(this.fullName, '' + index));
+                // summaries of items with no values in them show the index.
+                if (item.collapsed) item.updateCollapsed();
+            }, this);
+        },
+
+        // called when the array item containing the field list is re-indexed.
+        setPrefix: function(prefix) {
+            var oldFullName = this.fullName;
+
+            this.prefix = prefix;
+            this.fullName = getFullName(this.prefix, this.name);
+            if (this.fullName === oldFullName) return;
+
+            replaceAttr(this.$el, 'data-field', oldFullName, this.fullName);
+            this.reindexItems();
+        },
+
+        // add and insert are disabled at ``maxItems``, remove is disabled at ``minItems``(see ListItem).
+        updateButtonState: function() {
+            if (!this.$list) return; // not rendered yet.
+
+            var full = _.has(this.schema, 'maxItems') && this.items.length >= this.schema.maxItems;
+            findOwn(this, '[data-action="add"]', this.$list[0]).toggleClass('disabled', full).prop('disabled', full);
+        },
+
+        // flag an item equal to a previous one inline when ``uniqueItems`` is true, empty items are ignored.
+        checkUniqueItems: function() {
+            if (!this.schema.uniqueItems) return;
+
+            var values = [];
+            _.each(this.items, function(item) {
+                var value = item.getValue(),
+                    duplicate = !isHierarchicalEmpty(value) && _.some(values, _.partial(_.isEqual, value));
+                values.push(value);
+
+                if (duplicate) item.innerField.setError(t(this.duplicateItemMessage));
+                else if (item.duplicate) item.innerField.setError();
+                item.duplicate = duplicate;
+            }, this);
+        },
+
         addItem: function(index) {
             if (index === undefined) index = this.items.length;
 
-            var prefix = this.fullName + '-n';
+            var fixed = index < this.fixedCount;
+            if (fixed && this.items.length >= this.fixedCount)
+                throw new Error("can't insert an item before the fixed items of a tuple.");
+            if (!fixed && !this.additionalItemsAllowed) throw new Error('additional items are not allowed.');
 
             var item = new ListItem({
                 parent: this,
-                schema: this.schema.items, //only support items as a ``dict``.
-                prefix: prefix, // ListItem has no name.  its fullName equals to its prefix.
-                index: index //TODO: index will change dynamically?
-            }).render();
+                schema: fixed ? this.schema.items[index] : !this.fixedCount ? this.schema.items :
+                    _.isObject(this.schema.additionalItems) ? this.schema.additionalItems : anyItemSchema,
+                fixed: fixed,
+                prefix: getFullName(this.fullName, '' + index), // ListItem has no name.  its fullName equals to its prefix.
+                index: index, // kept in sync by reindexItems.
+                liveValidation: this.liveValidation,
+                layout: this.layout,
+                rootSchema: this.rootSchema,
+                schemas: this.schemas
+            });
 
-            item.on('change', function() {
-                this.trigger('change', this); 
+            item.on('change', function(item, origin) {
+                this.checkUniqueItems();
+                this.trigger('change', this, origin || item);
             }, this);
 
-            var $children = this.$list.children();
-            if (index === $children.length) this.$list.append(item.el);
-            else item.$el.insertBefore($children.eq(index));
+            if (this.$list) {
+                var $children = this.$list.children();
+                if (index === $children.length) this.$list.append(item.render().el);
+                else item.render().$el.insertBefore($children.eq(index));
+            }
 
             this.items.splice(index, 0, item);
 
@@ -589,6 +2456,7 @@ var jsonforms = (function(jsonforms) {
             //if (confirmMsg && !confirm(confirmMsg)) return;
 
             var index = _.indexOf(this.items, item);
+            if (item.fixed) throw new Error("can't remove a fixed item of a tuple.");
 
             this.items[index].remove();
             this.items.splice(index, 1);
@@ -596,26 +2464,47 @@ var jsonforms = (function(jsonforms) {
             this.trigger('change:items', this);
         },
 
+        // move the item at ``from`` to the index ``to``, items between them are shifted.
+        move: function(from, to) {
+            var items = this.items;
+            if (!(from >= 0 && from < items.length && to >= 0 && to < items.length))
+                throw new Error('invalid index of items: ' + from + ', ' + to);
+            if (from < this.fixedCount || to < this.fixedCount) throw new Error("can't move a fixed item of a tuple.");
+            if (from === to) return;
+
+            var item = items.splice(from, 1)[0];
+            items.splice(to, 0, item);
+
+            if (this.$list) {
+                var next = items[to + 1];
+                if (next) item.$el.detach().insertBefore(next.$el);
+                else item.$el.detach().appendTo(this.$list);
+            }
+
+            this.trigger('change:items', this);
+        },
+
         moveUp: function(item) {
             var index = _.indexOf(this.items, item);
-            if (index === 0) return;
-
-            this.items[index].$el.detach().insertBefore(this.items[index - 1].$el);
-            this.items.splice(index, 1);
-            this.items.splice(index - 1, 0, item);
+            if (index <= this.fixedCount) return; // fixed items of a tuple can't be moved.
 
-            this.trigger('change:items', this);
+            this.move(index, index - 1);
         },
 
         moveDown: function(item) {
             var index = _.indexOf(this.items, item);
-            if (index >= this.items.length - 1) return;
+            if (index < this.fixedCount || index >= this.items.length - 1) return;
 
-            this.items[index].$el.detach().insertAfter(this.items[index + 1].$el); //this.items haven't change now.
-            this.items.splice(index, 1);
-            this.items.splice(index + 1, 0, item);
+            this.move(index, index + 1);
+        },
 
-            this.trigger('change:items', this);
+        // items are collapsible when the schema has ``itemSummary``, see ListItem.getSummary.
+        expandAll: function() {
+            _.invoke(this.items, 'setCollapsed', false);
+        },
+
+        collapseAll: function() {
+            _.invoke(this.items, 'setCollapsed', true);
         },
 
         getValue: function(options) {
@@ -624,17 +2513,38 @@ var jsonforms = (function(jsonforms) {
             });
         },
 
+        // values beyond the fixed items of a tuple are dropped when additional items are not allowed.
+        // options.defaults: see FieldMap.setValue.
         setValue: function(value, options) {
-            _.each(this.items, function(item) {
+            options = options || {};
+            if (value === undefined && options.defaults) value = getDefaultValue(this.schema);
+            value = value || [];
+
+            _.each(this.items.slice(this.fixedCount), function(item) {
                 this.removeItem(item);
             }, this);
 
-            _.each(value || [], function(itemValue) {
-                this.addItem().setValue(itemValue, options);
-            }, this);
+            _.each(this.items, function(item, i) {
+                item.setValue(value[i], options);
+            });
+
+            if (this.additionalItemsAllowed) {
+                _.each(value.slice(this.fixedCount), function(itemValue) {
+                    this.addItem().setValue(itemValue, options);
+                }, this);
+                // like a new array, an array filled with defaults has ``minItems`` items.
+                if (options.defaults)
+                    while (this.items.length < (this.schema.minItems || 0)) this.addItem();
+            }
+            // items with values are collapsed, while added ones are expanded.
+            _.invoke(this.items.slice(0, value.length), 'setCollapsed', true);
+
+            this.checkUniqueItems();
         },
 
         setError: function(error) {
+            if (!this.$errorEl) return; // not rendered yet.
+
             if (!error) {
                 this.$errorEl.empty();
                 this.$errorEl.removeClass(this.errorClassName);
@@ -654,60 +2564,664 @@ var jsonforms = (function(jsonforms) {
 
     var ListItem = Backbone.View.extend({
 
+        // a fixed item of a tuple has no buttons.
+        fixed: false,
+
         events: {
             'click [data-action="insert"]': function(event) {
-                event.preventDefault();
-                var index = _.indexOf(this.parent.items, this);
-                this.parent.addItem(index);
+                this.doAction(event, function(list) {
+                    list.addItem(_.indexOf(list.items, this));
+                });
             },
             'click [data-action="remove"]': function(event) {
-                event.preventDefault();
-                this.parent.removeItem(this);
+                this.doAction(event, function(list) {
+                    list.removeItem(this);
+                });
             },
             'click [data-action="moveUp"]': function(event) {
-                event.preventDefault();
-                this.parent.moveUp(this);
+                this.doAction(event, function(list) {
+                    list.moveUp(this);
+                });
             },
             'click [data-action="moveDown"]': function(event) {
+                this.doAction(event, function(list) {
+                    list.moveDown(this);
+                });
+            },
+            'click [data-action="toggle"]': function(event) {
+                event.preventDefault();
+                if (isOwnEnabledAction(event, this.innerField.el)) this.setCollapsed(!this.collapsed);
+            },
+
+            // drag and drop by the handle, items are dropped onto other items of the same list.
+            'dragstart [data-drag-handle]': function(event) {
+                if ($.contains(this.innerField.el, event.currentTarget)) return;
+
+                var dataTransfer = event.originalEvent.dataTransfer;
+                dataTransfer.effectAllowed = 'move';
+                dataTransfer.setData('text/plain', ''); // Firefox doesn't start dragging without data.
+                if (dataTransfer.setDragImage) dataTransfer.setDragImage(this.el, 0, 0);
+
+                this.parent.draggedItem = this;
+                this.$el.addClass(this.draggingClassName);
+            },
+            'dragend [data-drag-handle]': function(event) {
+                if ($.contains(this.innerField.el, event.currentTarget)) return;
+
+                this.parent.draggedItem = null;
+                this.$el.removeClass(this.draggingClassName);
+                this.parent.$list.children().removeClass(this.dropTargetClassName);
+            },
+            dragover: function(event) {
+                var list = this.parent;
+                if (!list.draggedItem || this.fixed) return;
+
+                event.preventDefault();
+                event.originalEvent.dataTransfer.dropEffect = 'move';
+                list.$list.children().removeClass(this.dropTargetClassName);
+                if (list.draggedItem !== this) this.$el.addClass(this.dropTargetClassName);
+            },
+            drop: function(event) {
+                var list = this.parent;
+                if (!list.draggedItem || this.fixed) return;
+
+                event.preventDefault();
+                this.moveItem(_.indexOf(list.items, list.draggedItem), _.indexOf(list.items, this));
+            },
+            // Alt+Up/Down moves the item containing the focus, only the innermost one of nested lists.
+            // native controls keep the keys(e.g. Alt+Down opens a select), unless it's the handle of the item.
+            keydown: function(event) {
+                if (!event.altKey || (event.which !== 38 && event.which !== 40) || event.isDefaultPrevented()) return;
+
+                var $target = $(event.target),
+                    isOwnHandle = $target.is('[data-drag-handle]') && !$.contains(this.innerField.el, event.target);
+                if (!isOwnHandle && $target.is('input, select, textarea, button')) return;
+
+                // items of nested lists see the event first, the outer items leave it to them.
+                var original = event.originalEvent || event;
+                if (original.jsonformsItem) return;
+                original.jsonformsItem = this;
+
+                var list = this.parent,
+                    from = _.indexOf(list.items, this),
+                    to = from + (event.which === 38 ? -1 : 1);
+                if (this.fixed || to < list.fixedCount || to >= list.items.length) return;
+
+                event.preventDefault();
+
+                // the focus is lost when the element is detached.
+                var focused = document.activeElement;
+                this.moveItem(from, to);
+                if (focused && $.contains(this.el, focused)) focused.focus();
+            }
+        },
+
+        // moves made by users are notified by ``change`` of the list, and announced to screen readers.
+        moveItem: function(from, to) {
+            var list = this.parent;
+            if (from === to) return;
+
+            list.move(from, to);
+            list.trigger('change', list);
+            announce(t('itemMoved', {
+                position: to + 1,
+                count: list.items.length
+            }));
+        },
+
+        // changes made by users are notified by ``change`` of the list, like editors of fields.
+        doAction: function(event, action) {
+            event.preventDefault();
+            if (!isOwnEnabledAction(event, this.innerField.el)) return;
+
+            var list = this.parent;
+            action.call(this, list);
+            list.trigger('change', list);
+        },
+
+        initialize: function(options) {
+            options = options || {};
+            _.extend(this, {
+                prefix: '',
+                templates: jsonforms.templates
+            }, _.pick(options, 'parent', 'schema', 'fixed', 'prefix', 'index', 'templates', 'liveValidation', 'layout',
+                'rootSchema', 'schemas'));
+
+            // items of a recursive schema are resolved only when they're added.
+            var resolved = resolveSchema(this.schema, this.rootSchema, this.schemas,
+                getJsonPointer(this.parent) + '/' + this.index);
+            this.schema = resolved.schema;
+            this.rootSchema = resolved.rootSchema;
+
+            this.fullName = this.prefix;
+            this.innerField = createField(this, this.schema, '', this.prefix); // name of innerField is ''.
+
+            this.innerField.on('change', function(field, origin) {
+                if (this.collapsed) this.updateCollapsed();
+                this.trigger('change', this, origin || field);
+            }, this);
+
+            // a collapsed item shows a summary instead of its innerField.
+            this.collapsible = !!this.parent.schema.itemSummary;
+            this.collapsed = false;
+
+            this.listenTo(this.parent, 'change:items', this.updateButtonState);
+        },
+
+        setPrefix: function(prefix) {
+            var oldFullName = this.fullName;
+
+            this.prefix = this.fullName = prefix;
+            if (this.fullName === oldFullName) return;
+
+            replaceAttr(this.$el, 'data-field', 'item--' + oldFullName, 'item--' + this.fullName);
+            this.innerField.setPrefix(this.fullName);
+        },
+
+        updateButtonState: function() {
+            var items = this.parent.items,
+                schema = this.parent.schema,
+                index = _.indexOf(items, this),
+                $actions = findOwn(this, '[data-action]', this.innerField.el),
+                disable = function(action) {
+                    $actions.filter('[data-action="' + action + '"]').addClass('disabled');
+                };
+
+            $actions.removeClass('disabled');
+            if (index === this.parent.fixedCount) disable('moveUp');
+            // when there's only one item, both index === 0 and index === this.parent.items.length - 1 are correct.
+            if (index === items.length - 1) disable('moveDown');
+            if (_.has(schema, 'maxItems') && items.length >= schema.maxItems) disable('insert');
+            if (items.length <= (schema.minItems || 0)) disable('remove');
+        },
+
+        render: function() {
+            this.innerField.render();
+
+            var template = this.templates[this.schema.templateName || 'item'];
+            var $el = $(template(this));
+
+            $el.find('[data-innerField]').html(this.innerField.el);
+            this.setElement($el);
+            this.$summary = findOwn(this, '[data-summary]', this.innerField.el);
+            this.updateCollapsed();
+
+            return this;
+        },
+
+        // adopt markup rendered for the same schema and value(see renderToString) instead of rendering.
+        attach: function(el) {
+            this.setElement(ensureMarkup(el, this));
+            this.innerField.attach(this.$('[data-innerField]').eq(0).children()[0]);
+            this.$summary = findOwn(this, '[data-summary]', this.innerField.el);
+            this.updateCollapsed();
+            return this;
+        },
+
+        setCollapsed: function(collapsed) {
+            this.collapsed = this.collapsible && !!collapsed;
+            this.updateCollapsed();
+        },
+
+        updateCollapsed: function() {
+            if (!this.$summary) return; // not rendered yet.
+
+            var collapsed = this.collapsed;
+            this.$el.toggleClass(this.collapsedClassName, collapsed);
+            this.$('[data-innerField]').eq(0).toggle(!collapsed);
+            this.$summary.toggle(collapsed).text(collapsed ? this.getSummary() : '');
+            findOwn(this, '[data-action="toggle"]', this.innerField.el).attr('aria-expanded', '' + !collapsed);
+        },
+
+        // ``itemSummary`` of the array schema is a JSON Pointer in the item, e.g. '/name', or a text with pointers or
+        // property names in braces, e.g. '{name} - {/price/amount}'.  items with no values in it are numbered.
+        getSummary: function() {
+            var summary = translate(this.parent.schema.itemSummary),
+                value = this.getValue(),
+                empty = true;
+
+            var format = function(pointer) {
+                var part = jsonforms.getValueByJsonPointer(value, pointer);
+                if (part == null || part === '') return '';
+
+                empty = false;
+                return _.isObject(part) ? JSON.stringify(part) : '' + part;
+            };
+
+            var text = summary.charAt(0) === '/' ? format(summary) : summary.replace(/\{([^{}]*)\}/g, function(match, reference) {
+                return format(!reference || reference.charAt(0) === '/' ? reference : '/' + escapeJsonPointerToken(reference));
+            });
+            return empty ? t('itemNumber', {
+                index: this.index + 1
+            }) : text;
+        },
+
+        getValue: function(options) {
+            return this.innerField.getValue(options);
+        },
+
+        setValue: function(value, options) {
+            this.innerField.setValue(value, options);
+            if (this.collapsed) this.updateCollapsed();
+        },
+
+        setError: function(err) {
+            // ListItem's share the same Json Pointers with their innerField, that's why ``getField`` always return 
+            // the innerField when a Json Pointer points to an array item.
+            // This also means it's not practical to call setError to ListItem.
+            if (err) throw new Error("shouldn't setError for ListItem."); // clearErrors may call it with no parameters.
+        },
+
+        remove: function() {
+            delete this.parent;
+            this.innerField.remove();
+            Backbone.View.prototype.remove.call(this);
+        }
+    });
+
+
+    // The properties of an object beyond its ``properties``, for ``additionalProperties`` and ``patternProperties``.
+    // Users add, rename and remove keys, the value of a key is edited by a field of its schema(see getPropertySchema).
+    // Entries without a key, or with the key of another entry or of ``properties``, are left out of the value.
+    var PropertyList = Backbone.View.extend({
+
+        templateName: 'properties',
+
+        duplicateKeyMessage: 'duplicateKey', // keys of locales.
+        invalidKeyMessage: 'invalidKey',
+
+        events: {
+            'click [data-action="add"]': function(event) {
+                event.preventDefault();
+                if (!isOwnEnabledAction(event, this.$list[0])) return;
+                var item = this.addItem('');
+                item.$key.focus();
+                // adding, renaming and removing keys are changes of the object.
+                this.trigger('change', this, this.parent);
+            }
+        },
+
+        initialize: function(options) {
+            this.parent = options.parent;
+            _.extend(this, _.pick(this.parent, 'schema', 'fullName', 'templates', 'liveValidation', 'rootSchema',
+                'schemas'));
+            this.items = [];
+        },
+
+        render: function() {
+            var $el = $(this.templates[this.templateName](this));
+
+            this.$list = $el.is('[data-items]') ? $el : $el.find('[data-items]');
+            this.setElement($el);
+
+            _.each(this.items, function(item) {
+                this.$list.append(item.render().el);
+            }, this);
+            this.checkKeys();
+            return this;
+        },
+
+        // adopt markup rendered for the same schema and value(see renderToString) instead of rendering.
+        attach: function(el) {
+            this.setElement(ensureMarkup(el, this));
+            this.$list = this.$el.is('[data-items]') ? this.$el : this.$('[data-items]').eq(0);
+
+            var $children = this.$list.children();
+            _.each(this.items, function(item, i) {
+                item.attach($children[i]);
+            });
+            this.checkKeys();
+            return this;
+        },
+
+        // items are named by their indexes, e.g. 'headers-property-2', since keys may be any strings.
+        reindexItems: function() {
+            _.each(this.items, function(item, index) {
+                item.setPrefix(getFullName(this.fullName, 'property-' + index));
+            }, this);
+        },
+
+        // called when the field map is re-indexed.
+        setPrefix: function(fullName) {
+            this.fullName = fullName;
+            this.reindexItems();
+        },
+
+        // keys of entries should be unique, differ from ``properties``, and be valid(see isValidPropertyName).
+        checkKeys: function() {
+            var keys = _.keys(this.parent.allFields);
+
+            _.each(this.items, function(item) {
+                var message;
+                if (_.contains(keys, item.key)) message = t(this.duplicateKeyMessage);
+                else if (item.key && !isValidPropertyName(this.schema, item.key)) message = t(this.invalidKeyMessage);
+                if (item.key) keys.push(item.key);
+                item.setKeyError(message);
+            }, this);
+        },
+
+        addItem: function(key) {
+            var item = new PropertyItem({
+                parent: this,
+                key: key,
+                prefix: getFullName(this.fullName, 'property-' + this.items.length)
+            });
+
+            item.on('change', function(item, origin) {
+                this.trigger('change', this, origin || item);
+            }, this);
+
+            if (this.$list) this.$list.append(item.render().el);
+            this.items.push(item);
+            this.checkKeys();
+            return item;
+        },
+
+        removeItem: function(item) {
+            item.remove();
+            this.items = _.without(this.items, item);
+            this.reindexItems();
+            this.checkKeys();
+        },
+
+        getItem: function(key) {
+            return _.findWhere(this.items, {
+                key: key
+            });
+        },
+
+        getInnerField: function(key) {
+            var item = this.getItem(key);
+            return item && item.innerField;
+        },
+
+        getValue: function(options) {
+            var value = {};
+            _.each(this.items, function(item) {
+                if (!item.key || _.has(value, item.key) || _.has(this.parent.allFields, item.key)) return;
+                value[item.key] = item.getValue(options);
+            }, this);
+            return value;
+        },
+
+        // entries of keys missing in the value are kept or removed like fields of a FieldMap.
+        setValue: function(value, options) {
+            options = options || {};
+
+            if (!ignoresMissingValues(options)) _.each(this.items.slice(), function(item) {
+                if (!_.has(value, item.key)) this.removeItem(item);
+            }, this);
+
+            _.each(value, function(propertyValue, key) {
+                (this.getItem(key) || this.addItem(key)).setValue(propertyValue, options);
+            }, this);
+        },
+
+        remove: function() {
+            delete this.parent;
+            _.invoke(this.items, 'remove');
+            Backbone.View.prototype.remove.call(this);
+        }
+    });
+
+
+    // An entry of a PropertyList, a key and the field of its value.
+    var PropertyItem = Backbone.View.extend({
+
+        templateName: 'property',
+
+        events: {
+            'change [data-key]': function(event) {
+                // keys of nested property lists bubble here too.
+                if (event.currentTarget !== this.$key[0]) return;
+
+                var list = this.parent;
+                this.setKey($.trim(this.$key.val()));
+                list.checkKeys();
+                list.trigger('change', list, list.parent);
+            },
+            'click [data-action="remove"]': function(event) {
                 event.preventDefault();
-                this.parent.moveDown(this);
+                if (!isOwnEnabledAction(event, this.innerField.el)) return;
+
+                var list = this.parent;
+                list.removeItem(this);
+                list.trigger('change', list, list.parent);
+            }
+        },
+
+        initialize: function(options) {
+            _.extend(this, _.pick(options, 'parent', 'prefix'));
+            _.extend(this, _.pick(this.parent, 'templates', 'liveValidation', 'rootSchema', 'schemas'));
+
+            this.fullName = this.prefix;
+            this.keyId = getInputId(this, getFullName(this.fullName, 'key'));
+            this.setKey(options.key);
+        },
+
+        // the field of the value is rebuilt when the key has another schema, the value is kept when it's valid.
+        // a key without a schema keeps the current field, a new entry without a key has the first schema.
+        setKey: function(key) {
+            var parentSchema = this.parent.schema,
+                schema = getPropertySchema(parentSchema, key) || this.propertySchema ||
+                    _.values(parentSchema.patternProperties)[0];
+
+            this.key = key;
+            if (this.$key) this.$key.val(key);
+            if (schema === this.propertySchema) return;
+
+            var value;
+            if (this.innerField) {
+                value = this.innerField.getValue();
+                this.innerField.remove();
+            }
+
+            this.propertySchema = schema;
+            this.innerField = createField(this, schema, '', this.prefix); // name of innerField is ''.
+            this.innerField.on('change', function(field, origin) {
+                this.trigger('change', this, origin || field);
+            }, this);
+            if (value != null && isValidValue(value, this.innerField.schema)) this.innerField.setValue(value);
+
+            if (this.$innerEl) this.$innerEl.empty().append(this.innerField.render().el);
+        },
+
+        setKeyError: function(message) {
+            this.keyError = message;
+            if (!this.$keyError) return; // not rendered yet.
+
+            this.$keyError.text(message || '');
+            this.$key.parent().toggleClass(this.errorClassName, !!message);
+        },
+
+        setPrefix: function(prefix) {
+            var oldFullName = this.fullName,
+                oldKeyId = this.keyId;
+
+            this.prefix = this.fullName = prefix;
+            this.keyId = getInputId(this, getFullName(this.fullName, 'key'));
+            if (this.fullName === oldFullName) return;
+
+            replaceAttr(this.$el, 'data-field', 'property--' + oldFullName, 'property--' + this.fullName);
+            replaceAttr(this.$el, 'for', oldKeyId, this.keyId);
+            replaceAttr(this.$el, 'id', oldKeyId, this.keyId);
+            this.innerField.setPrefix(this.fullName);
+        },
+
+        render: function() {
+            this.innerField.render();
+
+            var template = this.templates[this.templateName];
+            var $el = $(template(this));
+
+            this.$key = $el.find('[data-key]');
+            this.$keyError = $el.find('[data-key-error]');
+            this.$innerEl = $el.find('[data-innerField]');
+            this.$innerEl.html(this.innerField.el);
+            this.setElement($el);
+            this.setKeyError(this.keyError);
+
+            return this;
+        },
+
+        // adopt markup rendered for the same schema and value(see renderToString) instead of rendering.
+        attach: function(el) {
+            this.setElement(ensureMarkup(el, this));
+
+            this.$key = this.$('[data-key]').eq(0);
+            this.$keyError = this.$('[data-key-error]').eq(0);
+            this.$innerEl = this.$('[data-innerField]').eq(0);
+            this.innerField.attach(this.$innerEl.children()[0]);
+            this.setKeyError(this.keyError);
+
+            return this;
+        },
+
+        getValue: function(options) {
+            return this.innerField.getValue(options);
+        },
+
+        setValue: function(value, options) {
+            this.innerField.setValue(value, options);
+        },
+
+        remove: function() {
+            delete this.parent;
+            this.innerField.remove();
+            Backbone.View.prototype.remove.call(this);
+        }
+    });
+
+
+    // A field for schemas with ``oneOf`` or ``anyOf``.
+    // A selector is shown to pick a branch(variant), whose field is built in place as the ``innerField``.
+    // Variants are labeled by their ``title``s, or the values of the property named by ``discriminator``.
+    // Branches without ``type`` inherit the type of the schema.
+    var FieldVariant = jsonforms.FieldVariant = Backbone.View.extend({
+
+        templateName: 'variant',
+
+        events: {
+            'change [data-variant]': function(event) {
+                // selectors of nested variants bubble here too.
+                if (event.currentTarget !== this.$variant[0]) return;
+                this.setVariant(parseInt(this.$variant.val(), 10));
+                this.trigger('change', this);
             }
         },
 
         initialize: function(options) {
             options = options || {};
+
             _.extend(this, {
+                name: '',
                 prefix: '',
-                templates: jsonforms.templates
-            }, _.pick(options, 'parent', 'schema', 'prefix', 'index', 'templates'));
+                templates: jsonforms.templates,
+                rootSchema: options.schema
+            }, _.pick(options, 'name', 'prefix', 'parent', 'templates', 'liveValidation', 'layout', 'rootSchema', 'schemas'));
 
-            this.fullName = this.prefix;
-            this.innerField = createField(this, this.schema, '', this.prefix); // name of innerField is ''.
+            this.fullName = getFullName(this.prefix, this.name);
+            this.variantId = getInputId(this, getFullName(this.fullName, 'variant'));
+
+            var schema = this.schema = _.extend({
+                    title: prettify(options.name),
+                    description: ''
+                },
+                options.schema);
+
+            // the OpenAPI style {propertyName: 'kind'} is accepted too.
+            this.discriminator = _.isObject(schema.discriminator) ? schema.discriminator.propertyName : schema.discriminator;
 
-            this.innerField.on('change', function() {
-                this.trigger('change', this); 
+            this.variants = _.map(schema.oneOf || schema.anyOf, function(variant) {
+                var resolved = resolveSchema(variant, this.rootSchema, this.schemas, getJsonPointer(this));
+                if (!resolved.schema.type && schema.type) resolved.schema = _.extend({
+                    type: schema.type
+                }, resolved.schema);
+                return resolved;
             }, this);
 
-            this.parent.on('change:items', this.updateButtonState, this);
+            this.setVariant(0);
+            if (_.has(schema, 'default')) this.setValue(getDefaultValue(schema));
         },
 
-        updateButtonState: function() {
-            var index = _.indexOf(this.parent.items, this);
+        // labels of the variants in the current locale.
+        getVariantLabels: function() {
+            return _.map(this.variants, function(variant, i) {
+                var value = getDiscriminatorValue(variant.schema, this.discriminator);
+                if (variant.schema.title) return translate(variant.schema.title);
+                if (variant.schema.type === 'null') return t('noValue');
+                return value !== undefined ? '' + value : t('variantOption', {
+                    index: i + 1
+                });
+            }, this);
+        },
 
-            this.$('[data-action^="move"]').removeClass('disabled');
-            if (index === 0) this.$('[data-action="moveUp"]').addClass('disabled');
-            // when there's only one item, both index === 0 and index === this.parent.items.length - 1 are correct.
-            if (index === this.parent.items.length - 1) this.$('[data-action="moveDown"]').addClass('disabled');
+        // build the innerField for the variant at ``index``.
+        setVariant: function(index) {
+            if (index === this.variantIndex) return;
+
+            if (this.innerField) this.innerField.remove();
+
+            var variant = this.variants[index];
+            this.variantIndex = index;
+            this.innerField = createField(this, variant.schema, '', this.fullName, variant.rootSchema);
+            this.innerField.on('change', function(field, origin) {
+                this.trigger('change', this, origin || field);
+            }, this);
+
+            var value = getDiscriminatorValue(variant.schema, this.discriminator);
+            if (value !== undefined) this.innerField.setValue(_.object([this.discriminator], [value]));
+
+            if (this.$innerEl) this.renderInnerField();
+            this.trigger('change:variant', this);
         },
 
-        render: function() {
-            this.innerField.render();
+        // called when the array item containing the field is re-indexed.
+        setPrefix: function(prefix) {
+            var oldFullName = this.fullName,
+                oldVariantId = this.variantId;
 
-            var template = this.templates[this.schema.templateName || 'item'];
+            this.prefix = prefix;
+            this.fullName = getFullName(this.prefix, this.name);
+            this.variantId = getInputId(this, getFullName(this.fullName, 'variant'));
+            if (this.fullName === oldFullName) return;
+
+            replaceAttr(this.$el, 'data-field', oldFullName, this.fullName);
+            replaceAttr(this.$el, 'for', oldVariantId, this.variantId);
+            replaceAttr(this.$el, 'id', oldVariantId, this.variantId);
+            this.innerField.setPrefix(this.fullName);
+        },
+
+        renderInnerField: function() {
+            this.$innerEl.empty().append(this.innerField.render().el);
+            this.$variant.val('' + this.variantIndex);
+        },
+
+        render: function() {
+            var template = this.templates[this.schema.templateName || this.templateName];
+            this.variantLabels = this.getVariantLabels();
             var $el = $(template(this));
 
-            $el.find('[data-innerField]').html(this.innerField.el);
+            this.$variant = $el.find('[data-variant]');
+            this.$innerEl = $el.find('[data-innerField]');
+            this.$errorEl = $el.find('[data-error]');
+
             this.setElement($el);
+            this.renderInnerField();
+
+            return this;
+        },
+
+        // adopt markup rendered for the same schema and value(see renderToString) instead of rendering.
+        // the variant is the one matching the value, as it's selected in the markup.
+        attach: function(el) {
+            this.variantLabels = this.getVariantLabels();
+            this.setElement(ensureMarkup(el, this));
+
+            this.$variant = this.$('[data-variant]').eq(0);
+            this.$innerEl = this.$('[data-innerField]').eq(0);
+            this.$errorEl = findOwn(this, '[data-error]', this.$innerEl[0]);
+            this.innerField.attach(this.$innerEl.children()[0]);
 
             return this;
         },
@@ -716,15 +3230,34 @@ var jsonforms = (function(jsonforms) {
             return this.innerField.getValue(options);
         },
 
+        // switch to the variant which ``value`` matches, the current variant is kept when none matches.
+        // no value switches to a ``null`` variant if any, e.g. of a recursive object(see createField).
+        // options.defaults: see FieldMap.setValue.
         setValue: function(value, options) {
+            if (value === undefined && (options || {}).defaults) value = getDefaultValue(this.schema);
+            var index = value != null ? matchVariant(_.pluck(this.variants, 'schema'), value) :
+                _.findIndex(this.variants, function(variant) {
+                    return variant.schema.type === 'null';
+                });
+            if (index !== -1) this.setVariant(index);
             this.innerField.setValue(value, options);
+
+            // the discriminator is kept when the value is emptied.
+            var discriminatorValue = getDiscriminatorValue(this.variants[this.variantIndex].schema, this.discriminator);
+            if (discriminatorValue !== undefined)
+                this.innerField.setValue(_.object([this.discriminator], [discriminatorValue]));
         },
 
-        setError: function(err) {
-            // ListItem's share the same Json Pointers with their innerField, that's why ``getField`` always return 
-            // the innerField when a Json Pointer points to an array item.
-            // This also means it's not practical to call setError to ListItem.
-            if (!err) throw new Error('should setError for ListItem.'); // clearErrors may call it with no parameters.
+        setError: function(error) {
+            if (!this.$errorEl) return; // not rendered yet.
+
+            if (!error) {
+                this.$errorEl.empty();
+                this.$errorEl.removeClass(this.errorClassName);
+            } else {
+                this.$errorEl.html(error);
+                this.$errorEl.addClass(this.errorClassName);
+            }
         },
 
         remove: function() {
@@ -806,12 +3339,22 @@ var jsonforms = (function(jsonforms) {
      *  or a Backbone collection in which models must implement a toString() method.
      *
      *  In single selection mode, when a value is undefined or missing, then it's regarded as null.
+     *  In multiple selection mode, ``minItems`` and ``maxItems`` of the schema are respected.
      */
     var Select = jsonforms.Select = Editor.extend({
 
         tagName: 'select',
         multiple: false,
 
+        minItemsMessage: 'minSelected', // a key of locales.
+
+        events: {
+            'change': function() {
+                this.checkState();
+                this.trigger('change', this);
+            }
+        },
+
         initialize: function(options) {
             Editor.prototype.initialize.call(this, options);
             this.options = this.normalizeOptions(options.options);
@@ -833,9 +3376,10 @@ var jsonforms = (function(jsonforms) {
             );
         },
 
+        // null empties the selection when it isn't an option, e.g. a field emptied by setValue.
         ensureValidValues: function(values) {
             _.each(_.isArray(values) ? values : [values], function(val) {
-                if (!_.contains(this.optionValues, val))
+                if (val !== null && !_.contains(this.optionValues, val))
                     throw new Error('invalid option value: ' + val);
             }, this);
         },
@@ -844,9 +3388,44 @@ var jsonforms = (function(jsonforms) {
             if (this.tagName === 'select' || this.tagName === 'input' || this.tagName === 'textarea')
                 this.$el.attr(this.inputAttributes);
             this.$el.html(this._arrayToHtml(this.options));
+            this.checkState();
             return this;
         },
 
+        // in multiple selection mode, the other options are disabled once ``maxItems`` options are selected,
+        // and the editor is reported invalid while less than ``minItems`` options are selected.
+        checkState: function() {
+            if (!this.multiple) return;
+
+            var schema = this.schema || {},
+                $options = this.$('option, input:checkbox'),
+                // :checked matches selected options too.
+                count = $options.filter(':checked').length,
+                full = _.has(schema, 'maxItems') && count >= schema.maxItems,
+                validityEl = this.$el.is('select') ? this.el : $options[0];
+
+            $options.not(':checked').prop('disabled', full);
+            if (validityEl && validityEl.setCustomValidity)
+                validityEl.setCustomValidity(count < (schema.minItems || 0) ? t(this.minItemsMessage, schema) : '');
+        },
+
+        // options of Checkboxes and Radio are rendered as inputs with ids like ``inputId-index``.
+        setInputAttributes: function(attributes) {
+            if (this.tagName === 'select') return Editor.prototype.setInputAttributes.call(this, attributes);
+
+            _.extend(this.inputAttributes, attributes);
+            this.inputId = this.inputAttributes.id;
+            this.inputName = this.inputAttributes.name;
+            this.$('li').each(_.bind(function(index, li) {
+                var id = this.inputId + '-' + index;
+                $(li).find('input').attr({
+                    id: id,
+                    name: this.inputName
+                });
+                $(li).find('label').attr('for', id);
+            }, this));
+        },
+
         getValue: function() {
             var value = this.$el.val();
             if (this.multiple)
@@ -862,6 +3441,7 @@ var jsonforms = (function(jsonforms) {
 
             this.ensureValidValues(value)
             this.$el.val(value);
+            this.checkState();
         },
 
         normalizeOptions: function(options) {
@@ -913,6 +3493,17 @@ var jsonforms = (function(jsonforms) {
         }
     });
 
+    // Renders a <select multiple> with given options.
+    var MultiSelect = jsonforms.MultiSelect = Select.extend({
+
+        multiple: true,
+
+        initialize: function(options) {
+            Select.prototype.initialize.call(this, options);
+            this.$el.prop('multiple', true);
+        }
+    });
+
     // Renders a <ul> with given options represented as checkboxes in <li>.
     var Checkboxes = jsonforms.Checkboxes = Select.extend({
 
@@ -933,6 +3524,7 @@ var jsonforms = (function(jsonforms) {
 
             this.ensureValidValues(values)
             this.$('input:checkbox').val(values);
+            this.checkState();
         },
 
         liTpl: _.template(['<li>',
@@ -944,9 +3536,9 @@ var jsonforms = (function(jsonforms) {
         _arrayToHtml: function(array) {
             return array.length === 0 ? '-' : _.map(array, function(option, index) {
                 return this.liTpl({
-                    name: this.name,
+                    name: this.inputName,
                     val: (option.val || option.val === 0) ? option.val : '',
-                    id: this.id + '-' + index,
+                    id: this.inputId + '-' + index,
                     label: option.label
                 });
             }, this).join('\n');
@@ -1050,12 +3642,20 @@ var jsonforms = (function(jsonforms) {
             // Call the parent's render method
             Text.prototype.render.call(this);
             // Then make the editor's element a datepicker.
+            return this.initDatepicker();
+        },
+
+        attach: function(el) {
+            Text.prototype.attach.call(this, el);
+            return this.initDatepicker();
+        },
+
+        initDatepicker: function() {
             this.$el.datepicker({
                 format: 'yyyy-mm-dd',
                 autoclose: true,
                 weekStart: 1
             });
-
             return this;
         },
 
@@ -1074,7 +3674,15 @@ var jsonforms = (function(jsonforms) {
 
         render: function() {
             TextArea.prototype.render.call(this);
+            return this.initTinyMCE();
+        },
+
+        attach: function(el) {
+            TextArea.prototype.attach.call(this, el);
+            return this.initTinyMCE();
+        },
 
+        initTinyMCE: function() {
             var self = this;
             _.defer(function() {
                 // tinymce.init must be called after el is added into DOM.
@@ -1091,6 +3699,11 @@ var jsonforms = (function(jsonforms) {
             return this;
         },
 
+        // the id is kept, it's used to look up the tinymce instance.
+        setInputAttributes: function(attributes) {
+            TextArea.prototype.setInputAttributes.call(this, _.omit(attributes, 'id'));
+        },
+
         getValue: function() {
             return tinymce.get(this.inputId) ? tinymce.get(this.inputId).getContent() : this.$el.val();
         },
@@ -1217,39 +3830,399 @@ var jsonforms = (function(jsonforms) {
         renderPhotos: function() {
             this.$('ul').remove();
 
-            var $ul = $('<ul class="list-inline"></ul>');
-            _.each(this.images, function(image) {
-                $ul.append(this.itemTemplate({image: image}));
-            }, this);
+            var $ul = $('<ul class="list-inline"></ul>');
+            _.each(this.images, function(image) {
+                $ul.append(this.itemTemplate({image: image}));
+            }, this);
+
+            this.$el.append($ul);
+            this.checkState();
+            return this;
+        },
+
+        checkState: function() {
+            this.$('input[type=file]').prop('disabled', this.images.length >= this.maxItems);
+        }
+    });
+
+
+    var Image = jsonforms.Image = MultiImages.extend({
+        maxItems: 1,
+
+        getValue: function() {
+            return this.images.length === 0 ? null : this.images[0];
+        },
+    
+        numUploadAllowed: function() {
+            return 1;
+        },
+
+        checkState: function() {
+        },
+
+        addPhoto: function(value) {
+            this.setValue(value);
+            this.trigger('change', this); 
+        }
+    });
+
+
+    /**
+     * MultiFiles editor
+     *
+     * Uploads files of any type with ``inputAttributes.uploadUrl``, or reads them as data URLs when
+     * ``fileValue`` of the schema is 'dataUrl'.  The value is an array of the upload responses or the data URLs.
+     *
+     * ``inputAttributes.accept`` limits the types of files, ``maxFileSize``(in bytes) and ``maxItems`` of the schema
+     * limit the size and the count of files.  Rejected files are listed below the input.
+     */
+    var MultiFiles = jsonforms.MultiFiles = Editor.extend({
+        itemTemplate: _.template([
+            '<li><span class="close">&times;</span> <span class="file-name"><%- name %></span>',
+            '<small class="text-muted"><%- type %> <%- size %></small></li>'
+        ].join('\n')),
+        rejectedTemplate: _.template('<li class="text-danger"><%- name %>: <%- reason %></li>'),
+        maxItems: 10000,
+
+        initialize: function(options) {
+            Editor.prototype.initialize.apply(this, arguments);
+            this.files = []; // {value: value, name: name, size: size, type: type}
+            this.maxItems = this.schema.maxItems !== undefined ? this.schema.maxItems : this.maxItems;
+            this.maxFileSize = this.schema.maxFileSize;
+            this.fileValue = this.schema.fileValue || 'response';
+        },
+
+        events: {
+            'change input[type=file]': function(e) {
+                // `change` event should be triggered after uploading is finished.
+
+                var files = e.currentTarget.files;
+
+                if (!files.length) return;
+
+                var self = this,
+                    rejected = [],
+                    reject = function(f, reason) {
+                        rejected.push(self.rejectedTemplate({
+                            name: f.name,
+                            reason: reason
+                        }));
+                        self.$('.rejected-files').html(rejected.join('\n'));
+                    };
+
+                var dfd = $.Deferred(),
+                    nextDfd = dfd;
+
+                // a file failing to be read or uploaded is rejected, the following ones are still read.
+                var read = function(f) {
+                    nextDfd = nextDfd.then(function() {
+                        var readDfd = $.Deferred();
+                        self.readFile(f).done(function(value) {
+                            self.addFile(value, f);
+                        }).fail(function() {
+                            reject(f, t('fileFailed'));
+                        }).always(readDfd.resolve);
+                        return readDfd.promise();
+                    });
+                };
+
+                // ensure files are read sequentially.
+                var max = this.numUploadAllowed();
+                for (var i = 0, f; (f = files[i]); i++) {
+                    var reason = this.rejectFile(f);
+                    if (!reason && max-- <= 0) reason = t('tooManyFiles');
+
+                    if (reason) reject(f, reason);
+                    else read(f);
+                }
+                this.$('.rejected-files').html(rejected.join('\n'));
+                dfd.resolve();
+
+                $(e.currentTarget).val(''); // allow the same file to be chosen again.
+            },
+
+            'click .close': function(e) {
+                var $li = $(e.currentTarget).closest('li');
+                var i = $li.parent().children().index($li);
+                this.files.splice(i, 1);
+                $li.remove();
+                this.checkState();
+                this.trigger('change', this);
+            }
+        },
+
+        numUploadAllowed: function() {
+            return this.maxItems - this.files.length;
+        },
+
+        // @return the reason why a File is rejected, or undefined if it's accepted.
+        rejectFile: function(file) {
+            if (!matchesAccept(this.inputAttributes.accept, file)) return t('fileNotAccepted');
+            if (this.maxFileSize !== undefined && file.size > this.maxFileSize)
+                return t('fileTooLarge', {
+                    size: formatFileSize(this.maxFileSize)
+                });
+        },
+
+        // @return a jQuery promise of the value of a File.
+        readFile: function(file) {
+            if (this.fileValue !== 'dataUrl') return this.uploadFile(file, {
+                url: this.inputAttributes.uploadUrl
+            });
+
+            var dfd = $.Deferred(),
+                reader = new FileReader();
+            reader.onload = function() {
+                dfd.resolve(reader.result);
+            };
+            reader.onerror = function() {
+                dfd.reject(reader.error);
+            };
+            reader.readAsDataURL(file);
+            return dfd.promise();
+        },
+
+        uploadFile: MultiImages.prototype.uploadFile,
+
+        // name, size and type of a file are taken from the File when it's just chosen, otherwise from its value:
+        // an upload response with ``name``, ``size`` and ``type`` properties, a data URL or an URL.
+        describeFile: function(value, file) {
+            if (file) return _.pick(file, 'name', 'size', 'type');
+            if (_.isObject(value)) return _.defaults(_.pick(value, 'name', 'size', 'type'), {
+                name: '',
+                type: ''
+            });
+
+            var match = /^data:([^;,]*)/.exec(value);
+            if (match) return {
+                name: '',
+                type: match[1]
+            };
+            return {
+                name: decodeURIComponent(value.split(/[?#]/)[0].split('/').pop()),
+                type: ''
+            };
+        },
+
+        getValue: function() {
+            return _.pluck(this.files, 'value');
+        },
+
+        addFile: function(value, file) {
+            if (!value) return;
+
+            if (this.files.length >= this.maxItems) return;
+            this.files.push(_.extend({
+                value: value
+            }, this.describeFile(value, file)));
+
+            this.renderFiles();
+            this.trigger('change', this);
+        },
+
+        setValue: function(value) {
+            var values = _.isArray(value) ? value : (value ? [value] : []);
+            this.files = _.map(values.slice(0, this.maxItems), function(value) {
+                return _.extend({
+                    value: value
+                }, this.describeFile(value));
+            }, this);
+            this.renderFiles();
+        },
+
+        render: function() {
+            this.$el.html('<input type="file"' + (this.maxItems === 1 ? '' : ' multiple') + '><ul class="list-unstyled rejected-files"></ul>');
+            this.$('input[type=file]').attr(_.pick(this.inputAttributes, 'accept'));
+            this.$el.attr(_.omit(this.inputAttributes, 'uploadUrl', 'accept'));
+            this.renderFiles();
+            return this;
+        },
+
+        renderFiles: function() {
+            this.$('ul.files').remove();
+
+            var $ul = $('<ul class="list-unstyled files"></ul>');
+            _.each(this.files, function(file) {
+                $ul.append(this.itemTemplate(_.extend({}, file, {
+                    size: formatFileSize(file.size)
+                })));
+            }, this);
+
+            this.$el.append($ul);
+            this.checkState();
+            return this;
+        },
+
+        checkState: function() {
+            this.$('input[type=file]').prop('disabled', this.files.length >= this.maxItems);
+        }
+    });
+
+
+    var File = jsonforms.File = MultiFiles.extend({
+        maxItems: 1,
+
+        getValue: function() {
+            return this.files.length === 0 ? null : this.files[0].value;
+        },
+
+        numUploadAllowed: function() {
+            return 1;
+        },
+
+        checkState: function() {
+        },
+
+        addFile: function(value, file) {
+            if (!value) return;
+            this.files = [];
+            MultiFiles.prototype.addFile.call(this, value, file);
+        }
+    });
+
+
+    /**
+     * Validator adapters used by Form.validate.
+     *
+     * An adapter is an object with:
+     *   validate(value, schema, form): returns {valid: bool, errors: [...]}, or a promise(thenable) of it.
+     *   normalizeError(error): optional, converts an error of the validator to the common structure
+     *       {dataPath: '/a/0/b', message: '...', keyword: 'maxLength', params: {...}}, which setErrors consumes.
+     *       errors of a missing required property point to the property rather than the object.
+     */
+    var validators = jsonforms.validators = {};
+
+    jsonforms.registerValidator = function(name, adapter) {
+        validators[name] = adapter;
+    };
+
+    var getValidator = function(validator) {
+        if (_.isObject(validator)) return validator;
+        if (!validator) return validators[typeof tv4 === 'undefined' ? 'builtin' : 'tv4'];
+        if (!validators[validator]) throw new Error('unknown validator: ' + validator);
+        return validators[validator];
+    };
+
+    // fields are checked against their own schemas, ``schema`` is ignored.
+    jsonforms.registerValidator('builtin', {
+        validate: function(value, schema, form) {
+            return validateFields(form);
+        }
+    });
+
+    // formats and keywords are added to tv4 once, when it validates, since it may be loaded after they're registered.
+    // the added functions look up the registered ones, which may be replaced later.
+    var tv4Extensions = {
+        formats: {},
+        keywords: {}
+    };
 
-            this.$el.append($ul);
-            this.checkState();
-            return this;
+    jsonforms.registerValidator('tv4', {
+        validate: function(value, schema, form) {
+            _.each(formats, function(format, name) {
+                if (tv4Extensions.formats[name]) return;
+                tv4Extensions.formats[name] = true;
+                tv4.addFormat(name, function(value, schema) {
+                    if (!_.isString(value) || formats[name].validate(value)) return null;
+                    return formats[name].message(_.extend({}, schema, {
+                        value: value
+                    }));
+                });
+            });
+            _.each(keywords, function(keyword, name) {
+                if (tv4Extensions.keywords[name]) return;
+                tv4Extensions.keywords[name] = true;
+                tv4.defineKeyword(name, function(value, keywordValue, schema) {
+                    if (value == null || keywords[name].validate(value, keywordValue, schema)) return null;
+                    return getValidationMessage(name)(_.extend({}, schema, {
+                        value: value
+                    }));
+                });
+            });
+
+            // schemas in the ``schemas`` registry are added so that remote ``$ref``s can be resolved.
+            _.each(form.schemas, function(schema, uri) {
+                tv4.addSchema(uri, schema);
+            });
+            return tv4.validateMultiple(value, schema);
         },
 
-        checkState: function() {
-            this.$('input[type=file]').prop('disabled', this.images.length >= this.maxItems);
+        normalizeError: function(error) {
+            // e.g. '/properties/tags/items/0/minLength' => 'minLength'
+            var keyword = _.find((error.schemaPath || '').split('/').reverse(), function(token) {
+                return token && !/^\d+$/.test(token);
+            });
+            var dataPath = error.dataPath;
+            if (error.code === tv4.errorCodes.OBJECT_REQUIRED) dataPath += '/' + escapeJsonPointerToken(error.params.key);
+
+            return _.extend({}, error, {
+                dataPath: dataPath,
+                keyword: keyword
+            });
         }
     });
 
+    // Ajv(https://ajv.js.org) style errors: {instancePath: '/a/0', keyword: 'required', params: {missingProperty: 'b'}}.
+    // ``form.ajv``(the ``ajv`` option of Form) is used, or an Ajv instance is created when ``Ajv`` is loaded.
+    // schemas with ``$async`` are validated asynchronously.
+    jsonforms.registerValidator('ajv', {
+        validate: function(value, schema, form) {
+            if (!form.ajv && typeof Ajv === 'undefined') throw new Error('Ajv is not loaded, load it or pass the ``ajv`` option.');
+
+            // jsonforms extensions(editor, optionLabels, etc.) are unknown keywords to Ajv.
+            var ajv = form.ajv || (form.ajv = new Ajv({
+                allErrors: true,
+                strict: false
+            }));
+            _.each(form.schemas, function(schema, uri) {
+                if (!ajv.getSchema(uri)) ajv.addSchema(schema, uri);
+            });
+            _.each(formats, function(format, name) {
+                if (!ajv.formats[name]) ajv.addFormat(name, format.validate);
+            });
+            _.each(keywords, function(keyword, name) {
+                if (!ajv.getKeyword(name)) ajv.addKeyword({
+                    keyword: name,
+                    validate: function(keywordValue, value, schema) {
+                        return value == null || keyword.validate(value, keywordValue, schema);
+                    }
+                });
+            });
 
-    var Image = jsonforms.Image = MultiImages.extend({
-        maxItems: 1,
+            var validate = ajv.compile(schema),
+                valid = validate(value);
 
-        getValue: function() {
-            return this.images.length === 0 ? null : this.images[0];
-        },
-    
-        numUploadAllowed: function() {
-            return 1;
-        },
+            if (valid && _.isFunction(valid.then))
+                return valid.then(function() {
+                    return {
+                        valid: true,
+                        errors: []
+                    };
+                }, function(e) {
+                    if (!e.errors) throw e;
+                    return {
+                        valid: false,
+                        errors: e.errors
+                    };
+                });
 
-        checkState: function() {
+            return {
+                valid: valid,
+                errors: validate.errors || []
+            };
         },
 
-        addPhoto: function(value) {
-            this.setValue(value);
-            this.trigger('change', this); 
+        normalizeError: function(error) {
+            // Ajv before v8 names it ``dataPath``.
+            var dataPath = error.instancePath !== undefined ? error.instancePath : error.dataPath;
+            if (error.keyword === 'required') dataPath += '/' + escapeJsonPointerToken(error.params.missingProperty);
+
+            return {
+                dataPath: dataPath,
+                message: error.message,
+                keyword: error.keyword,
+                params: error.params
+            };
         }
     });
 
@@ -1257,7 +4230,7 @@ var jsonforms = (function(jsonforms) {
     var Form = jsonforms.Form = FieldMap.extend({
         templateName: 'form',
 
-        events: {
+        events: _.extend({}, FieldMap.prototype.events, {
             // when any required constraint is not satisfied, submit won't be triggered 
             // even if <CR> is pressed or submit button is click.
             // however, click will be triggered in the both cases.
@@ -1285,12 +4258,25 @@ var jsonforms = (function(jsonforms) {
                 } else {
                     $el.attr('title', '');
                 }
+            },
+            // Ctrl+Z: undo, Ctrl+Y or Ctrl+Shift+Z: redo.
+            keydown: function(e) {
+                if (!this.historyOptions || !(e.ctrlKey || e.metaKey) || (e.which !== 89 && e.which !== 90)) return;
+                // text typed but not changed yet is undone by the input itself.
+                if (this.hasUnrecordedInput(e.target)) return;
+
+                e.preventDefault();
+                if (e.which === 89 || e.shiftKey) this.redo();
+                else this.undo();
             }
-        },
+        }),
 
         initialize: function(options) {
             options = options || {};
             this.originalSchema = JSON.parse(JSON.stringify(options.schema));
+            // validator: optional, a name registered by jsonforms.registerValidator or an adapter.
+            //            tv4 is used when it's loaded, the built-in validator otherwise.
+            _.extend(this, _.pick(options, 'validator', 'ajv'));
 
             var buttons = _.extend({}, options.buttons);
             _.each(buttons, function(button, key) {
@@ -1307,59 +4293,461 @@ var jsonforms = (function(jsonforms) {
             if (buttons.length > 0 && submitBtns.length === 0) throw new Error('no submit button');
 
             FieldMap.prototype.initialize.call(this, options);
+
+            // history: optional, options of undo/redo, or false to disable it.
+            //     limit: the max number of steps, coalesceDelay: changes of a field within it(ms) are one step.
+            this.historyOptions = options.history === false ? null : _.defaults({}, options.history, {
+                limit: 100,
+                coalesceDelay: 1000
+            });
+            this.clearHistory();
+            if (this.historyOptions) this.on('change', function(form, origin) {
+                this.recordChange(origin);
+            }, this);
+
+            // warnOnLeave: optional, ask before leaving the page with unsaved changes.
+            if (options.warnOnLeave) $(window).on('beforeunload.' + this.cid, _.bind(function(event) {
+                if (!this.isDirty()) return;
+
+                var message = t('unsavedChanges');
+                (event.originalEvent || event).returnValue = message;
+                return message;
+            }, this));
         },
 
-        setErrors: function(errors, options) {
-            options = options || {};
-            var pointerAttrName = options.pointerAttrName || 'dataPath';
-            var messageAttrName = options.messageAttrName || 'message';
+        // the history is cleared, since the whole value is replaced.
+        setValue: function() {
+            FieldMap.prototype.setValue.apply(this, arguments);
+            this.clearHistory();
+        },
 
-            this.clearErrors();
+        /* undo/redo
 
-            if (!errors || errors.length === 0) return;
+           each change of a field(``origin`` of ``change``) is a step of {pointer, before, after}, where a change of
+           items of a list is a step of the list.  historyValue is the value after the last step,
+           where values before steps are read.
+           */
+        recordChange: function(origin) {
+            if (this._applyingHistory || !origin) return;
+
+            var pointer = getJsonPointer(origin),
+                before = jsonforms.getValueByJsonPointer(this.historyValue, pointer),
+                after = JSON.parse(JSON.stringify(origin.getValue() === undefined ? null : origin.getValue())),
+                now = _.now(),
+                last = _.last(this.undoStack);
+            if (isSameValue(before, after)) return;
+
+            if (last && last.pointer === pointer && origin instanceof Field &&
+                now - last.time < this.historyOptions.coalesceDelay) {
+                last.after = after;
+                last.time = now;
+            } else {
+                this.undoStack.push({
+                    pointer: pointer,
+                    before: before,
+                    after: after,
+                    time: now
+                });
+                if (this.undoStack.length > this.historyOptions.limit) this.undoStack.shift();
+            }
+            this.redoStack = [];
+            this.setHistoryValue(pointer, after);
+            this.trigger('change:history', this);
+        },
 
-            // merge errors with same dataPath
-            var errorGroups = _.groupBy(errors, function(err) {
-                var pointer = err[pointerAttrName];
-                return pointer === '' ? '/' : pointer;
-            });
+        setHistoryValue: function(pointer, value) {
+            if (!pointer) this.historyValue = value;
+            else jsonforms.setValueByJsonPointer(this.historyValue, pointer, value == null ? undefined : value);
+        },
 
-            _.each(errorGroups, function(errors, pointer) {
-                var message;
-                if (errors.length === 1) {
-                    message = errors[0][messageAttrName];
-                } else {
-                    var messages = _.map(errors, function(err) {
-                        return err[messageAttrName];
-                    });
+        // set the value of a step, ``change`` is triggered like a change by users.
+        applyHistoryValue: function(pointer, value) {
+            var field = getField(this, pointer, true),
+                // the form's own setValue clears the history.
+                setValue = field === this ? FieldMap.prototype.setValue : field.setValue;
 
-                    message = jsonforms.templates.errors({
-                        errors: messages
-                    });
-                }
+            this._applyingHistory = true;
+            try {
+                setValue.call(field, value === undefined ? null : JSON.parse(JSON.stringify(value)), {
+                    ignoreMissingValue: false
+                });
+                field.trigger('change', field);
+            } finally {
+                // a throwing listener must not stop recording later changes.
+                this._applyingHistory = false;
+            }
 
-                getField(this, pointer).setError(message);
-            }, this);
+            this.setHistoryValue(pointer, value);
         },
 
-        clearErrors: function() {
-            clearErrors(this);
+        undo: function() {
+            var step = this.undoStack.pop();
+            if (!step) return false;
+
+            this.applyHistoryValue(step.pointer, step.before);
+            this.redoStack.push(step);
+            if (this.canUndo()) _.last(this.undoStack).time = 0; // not coalesced with later changes.
+            this.trigger('undo', this, step);
+            this.trigger('change:history', this);
+            return true;
+        },
+
+        redo: function() {
+            var step = this.redoStack.pop();
+            if (!step) return false;
+
+            this.applyHistoryValue(step.pointer, step.after);
+            this.undoStack.push(_.extend(step, {
+                time: 0 // not coalesced with later changes.
+            }));
+            this.trigger('redo', this, step);
+            this.trigger('change:history', this);
+            return true;
+        },
+
+        canUndo: function() {
+            return this.undoStack.length > 0;
+        },
+
+        canRedo: function() {
+            return this.redoStack.length > 0;
         },
 
-        // validate with tv4, return whether it's valid or not, errors is saved in form.lastErrors.
+        clearHistory: function() {
+            this.undoStack = [];
+            this.redoStack = [];
+            this.historyValue = JSON.parse(JSON.stringify(this.getValue()));
+            this.trigger('change:history', this);
+        },
+
+        // whether the input is in a field whose value isn't recorded in the history yet.
+        hasUnrecordedInput: function(input) {
+            var field = _.find(enumerateFields(this), function(field) {
+                return field instanceof Field && $.contains(field.el, input);
+            });
+            return !!field && !isSameValue(field.getValue(), jsonforms.getValueByJsonPointer(this.historyValue, getJsonPointer(field)));
+        },
+
+        remove: function() {
+            $(window).off('beforeunload.' + this.cid);
+            return FieldMap.prototype.remove.apply(this, arguments);
+        },
+
+        // validate with a validator adapter, return whether it's valid or not, errors is saved in form.lastErrors
+        // in the common structure of adapters.  invalid or duplicate keys of entries(see getKeyErrors) are errors too,
+        // since their entries are missing in the value.
+        // when the adapter validates asynchronously, a jQuery promise of whether it's valid is returned.
         // @param optional.schema: optional, use form.originalSchema if not provided.
         // @param optional.showErrors: optional, default is false. 
+        // @param optional.validator: optional, use form.validator if not provided.
         validate: function(options) {
             options = options || {};
 
-            var result = tv4.validateMultiple(this.getValue(), options.schema || this.originalSchema);
-            this.lastErrors = result.errors;
+            var validator = getValidator(options.validator || this.validator),
+                result = validator.validate(this.getValue(), options.schema || this.originalSchema, this);
+
+            var done = _.bind(function(result) {
+                var keyErrors = getKeyErrors(this),
+                    errors = _.map(result.errors, validator.normalizeError || _.identity).concat(keyErrors),
+                    valid = result.valid && keyErrors.length === 0;
+                this.lastErrors = errors;
+
+                if (options.showErrors && !valid) this.setErrors(errors);
+                return valid;
+            }, this);
+
+            if (!result || !_.isFunction(result.then)) return done(result);
+
+            var dfd = $.Deferred();
+            result.then(function(result) {
+                dfd.resolve(done(result));
+            }, dfd.reject);
+            return dfd.promise();
+        }
+    });
+
+    /**
+     * Wizard
+     *
+     * a form whose fields are shown step by step, steps are groups of top-level property names or JSON Pointers:
+     *     new jsonforms.Wizard({schema: schema, steps: [
+     *         {title: 'Account', fields: ['email', 'password']},
+     *         {title: 'Address', fields: ['/address/city', '/address/zip']}
+     *     ]});
+     *
+     * all fields live in the form, so values are kept across steps and getValue returns the whole value.
+     * fields not in the current step are hidden, including those in no step.
+     * "Next" validates the fields of the current step only, buttons of the form are shown on the last step.
+     */
+    var Wizard = jsonforms.Wizard = Form.extend({
+        events: _.extend({}, Form.prototype.events, {
+            // <CR> in a field goes to the next step until the last one.
+            submit: function(e) {
+                if (this.stepIndex < this.steps.length - 1) {
+                    e.preventDefault();
+                    this.next();
+                    return;
+                }
+                Form.prototype.events.submit.call(this, e);
+            },
+            'click [data-step] a': function(e) {
+                e.preventDefault();
+                var index = +$(e.currentTarget).closest('[data-step]').attr('data-step');
+                // steps after the furthest one reached are passed by "Next" only.
+                if (index <= this.reachedIndex) this.goTo(index);
+            },
+            'click [data-action="previous"]': function() {
+                this.previous();
+            },
+            'click [data-action="next"]': function() {
+                this.next();
+            }
+        }),
+
+        initialize: function(options) {
+            options = options || {};
+            if (!options.steps || options.steps.length === 0) throw new Error('no steps');
+
+            // names of top-level properties are converted to pointers.
+            this.steps = _.map(options.steps, function(step) {
+                return _.extend({}, step, {
+                    pointers: _.map(step.fields, function(name) {
+                        return name.charAt(0) === '/' ? name : '/' + escapeJsonPointerToken(name);
+                    })
+                });
+            });
+            this.stepIndex = 0;
+            this.reachedIndex = 0;
+            this.shownErrors = [];
+            this.errorSteps = [];
+
+            Form.prototype.initialize.call(this, options);
+        },
+
+        render: function() {
+            Form.prototype.render.apply(this, arguments);
+            this.renderSteps();
+            return this;
+        },
+
+        attach: function() {
+            Form.prototype.attach.apply(this, arguments);
+            this.renderSteps();
+            return this;
+        },
+
+        // the step navigation goes first, the buttons of steps go before the footer of the form.
+        // the browser doesn't check fields of other steps, which can't be focused.
+        renderSteps: function() {
+            this.$steps = $(this.templates['wizard-steps'](this));
+            this.$stepButtons = $(this.templates['wizard-buttons'](this));
+
+            this.$el.attr('novalidate', true).prepend(this.$steps);
+            var $footer = this.$el.children('.form-footer');
+            if ($footer.length) $footer.before(this.$stepButtons);
+            else this.$el.append(this.$stepButtons);
+
+            this.updateSteps();
+        },
+
+        // the index of the step the pointer belongs to, -1 if none.
+        getStepIndex: function(pointer) {
+            return _.findIndex(this.steps, function(step) {
+                return isInStep(step, pointer);
+            });
+        },
+
+        // show the current step, ``step`` is triggered with the index and the previous one.
+        goTo: function(index) {
+            if (index < 0 || index >= this.steps.length) throw new Error('unknown step: ' + index);
+
+            var previousIndex = this.stepIndex;
+            this.stepIndex = index;
+            this.reachedIndex = Math.max(this.reachedIndex, index);
+            this.updateSteps();
+            if (index !== previousIndex) this.trigger('step', this, index, previousIndex);
+            return this;
+        },
+
+        previous: function() {
+            if (this.stepIndex > 0) this.goTo(this.stepIndex - 1);
+            return this;
+        },
+
+        // go to the next step when the current one is valid.
+        // returns whether it's valid, or a jQuery promise of it when the validator is asynchronous.
+        next: function(options) {
+            var go = _.bind(function(valid) {
+                if (valid && this.stepIndex < this.steps.length - 1) this.goTo(this.stepIndex + 1);
+                return valid;
+            }, this);
+
+            var result = this.validateStep(this.stepIndex, options);
+            return _.isFunction(result.then) ? result.then(go) : go(result);
+        },
+
+        // validate the whole value like Form.validate, and show errors of the step's fields only.
+        // errors shown in other steps, e.g. those from the server, are kept.
+        // @param options: optional, options of Form.validate except showErrors.
+        validateStep: function(index, options) {
+            var step = this.steps[index],
+                result = this.validate(_.omit(options, 'showErrors'));
+
+            var done = _.bind(function() {
+                var errors = _.filter(this.lastErrors, function(error) {
+                    return isInStep(step, error.dataPath);
+                });
+                var otherErrors = _.reject(this.shownErrors, function(error) {
+                    return isInStep(step, error.dataPath);
+                });
+                this.showErrors(otherErrors.concat(errors));
+                return errors.length === 0;
+            }, this);
+
+            return _.isFunction(result.then) ? result.then(done) : done();
+        },
+
+        // errors of all steps are shown and steps with errors are marked, e.g. for errors from the server after
+        // submit.  the first step with errors is shown unless the current one has some.
+        setErrors: function(errors, options) {
+            this.showErrors(errors, options);
+
+            var errorSteps = this.errorSteps;
+            if (errorSteps.length && !_.contains(errorSteps, this.stepIndex)) {
+                this.reachedIndex = Math.max(this.reachedIndex, _.max(errorSteps));
+                this.goTo(_.min(errorSteps));
+            }
+        },
+
+        showErrors: function(errors, options) {
+            options = options || {};
+            var pointerAttrName = options.pointerAttrName || 'dataPath';
+            var messageAttrName = options.messageAttrName || 'message';
+
+            Form.prototype.setErrors.call(this, errors, options);
+
+            // errors are kept in the common structure to be shown again with the errors of a step.
+            this.shownErrors = _.map(errors, function(error) {
+                return _.extend({}, error, {
+                    dataPath: error[pointerAttrName],
+                    message: error[messageAttrName]
+                });
+            });
+            this.errorSteps = _.without(_.uniq(_.map(this.shownErrors, function(error) {
+                return this.getStepIndex(error.dataPath);
+            }, this)), -1);
+            this.updateSteps();
+        },
+
+        clearErrors: function() {
+            Form.prototype.clearErrors.apply(this, arguments);
+            this.shownErrors = [];
+            this.errorSteps = [];
+            this.updateSteps();
+        },
+
+        // show fields of the current step, and the state of the navigation.
+        updateSteps: function() {
+            if (!this.$steps) return; // not rendered yet.
+
+            var index = this.stepIndex,
+                count = this.steps.length,
+                step = this.steps[index];
+
+            // ancestors of the step's fields are shown, their other fields are hidden.
+            var isAncestor = function(pointer) {
+                return _.some(step.pointers, function(stepPointer) {
+                    return stepPointer.indexOf(pointer + '/') === 0;
+                });
+            };
+            _.each(enumerateFields(this), function(fieldMap) {
+                if (!(fieldMap instanceof FieldMap)) return;
+
+                _.each(fieldMap.allFields, function(field) {
+                    var pointer = getJsonPointer(field);
+                    field.$el.toggle(isInStep(step, pointer) || isAncestor(pointer));
+                });
+                if (fieldMap.propertyList) fieldMap.propertyList.$el.toggle(isInStep(step, getJsonPointer(fieldMap)));
+            });
 
-            if (options.showErrors && !result.valid) this.setErrors(result.errors);
-            return result.valid;
+            var reachedIndex = this.reachedIndex,
+                errorSteps = this.errorSteps,
+                errorClassName = this.errorClassName;
+            this.$steps.find('[data-step]').each(function() {
+                var i = +$(this).attr('data-step');
+                $(this).toggleClass('active', i === index)
+                    .toggleClass('disabled', i > reachedIndex)
+                    .toggleClass(errorClassName, _.contains(errorSteps, i));
+            });
+            this.$steps.find('[data-progress]')
+                .css('width', (index + 1) / count * 100 + '%')
+                .attr('aria-valuenow', index + 1)
+                .text(t('stepProgress', {
+                    step: index + 1,
+                    count: count
+                }));
+
+            this.$stepButtons.find('[data-action="previous"]').prop('disabled', index === 0);
+            this.$stepButtons.find('[data-action="next"]').toggle(index < count - 1);
+            this.$el.children('.form-footer').toggle(index === count - 1);
         }
     });
 
+    // whether the pointer is one of the step's fields or inside them.
+    var isInStep = function(step, pointer) {
+        return _.some(step.pointers, function(stepPointer) {
+            return pointer === stepPointer || pointer.indexOf(stepPointer + '/') === 0;
+        });
+    };
+
+    /**
+     * Static markup
+     *
+     * renderToString renders a form with the template sets into HTML, where values are written into attributes, so
+     * that the markup shows them without scripts, e.g. in emails, printable previews or pages enhanced later.
+     *
+     * it isn't a string renderer: the form is built by the fields with jQuery as usual, then serialized.  so it needs a
+     * window with jQuery, Backbone and underscore loaded, in Node a DOM implementation like jsdom has to provide it.
+     *
+     * the markup is wired up later by ``attach`` of a form created with the same schema and value:
+     *     var form = new jsonforms.Form({schema: schema, templates: templates});
+     *     form.setValue(value);
+     *     form.attach(el);
+     */
+    // @param templates: optional, e.g. jsonforms.horizontalTemplates, defaults to jsonforms.templates.
+    // @param options: optional, other options of the form, e.g. buttons.
+    jsonforms.renderToString = function(schema, value, templates, options) {
+        var form = new Form(_.extend({}, options, {
+            schema: schema,
+            templates: templates || jsonforms.templates,
+            history: false
+        }));
+        form.setValue(value);
+
+        var html = writeStateToAttributes(form.render().$el).prop('outerHTML');
+        form.remove();
+        return html;
+    };
+
+    // the state of inputs, e.g. values set by $.fn.val(), are properties, which are lost in serialized markup.
+    var writeStateToAttributes = function($el) {
+        $el.find('input').each(function() {
+            var $input = $(this);
+            if ($input.is(':checkbox, :radio')) $input.attr('checked', $input.prop('checked'));
+            else if (!$input.is(':file')) $input.attr('value', $input.val());
+        });
+        $el.find('textarea').each(function() {
+            $(this).text($(this).val());
+        });
+        $el.find('option').each(function() {
+            $(this).attr('selected', $(this).prop('selected'));
+        });
+        $el.find('input, select, textarea, option').each(function() {
+            $(this).attr('disabled', $(this).prop('disabled'));
+        });
+        return $el;
+    };
+
     /**
      * Bootstrap 3 templates
      */
@@ -1373,7 +4761,7 @@ var jsonforms = (function(jsonforms) {
             '  <div class="form-footer form-group">',
             '    <div class="col-sm-offset-2 col-sm-10">',
             '    <% for (key in buttons) { %>',
-            '      <button type="<%- buttons[key].type || "button" %>" class="btn <%- buttons[key].className || (buttons[key].type !== "submit" ? "btn-default" : "btn-primary") %>" value="<%- key %>"><%- buttons[key].text %></button>&nbsp;',
+            '      <button type="<%- buttons[key].type || "button" %>" class="btn <%- buttons[key].className || (buttons[key].type !== "submit" ? "btn-default" : "btn-primary") %>" value="<%- key %>"><%- jsonforms.translate(buttons[key].text) %></button>&nbsp;',
             '    <% } %>',
             '    </div>',
             '  </div>',
@@ -1386,7 +4774,7 @@ var jsonforms = (function(jsonforms) {
             '  <p class="help-block" data-error></p>',
             '  <div class="form-footer">',
             '  <% for (key in buttons) { %>',
-            '    <button type="<%- buttons[key].type || "button" %>" class="btn <%- buttons[key].className || (buttons[key].type !== "submit" ? "btn-default" : "btn-primary") %>" value="<%- key %>"><%- buttons[key].text %></button>&nbsp;',
+            '    <button type="<%- buttons[key].type || "button" %>" class="btn <%- buttons[key].className || (buttons[key].type !== "submit" ? "btn-default" : "btn-primary") %>" value="<%- key %>"><%- jsonforms.translate(buttons[key].text) %></button>&nbsp;',
             '  <% } %>',
             '  </div>',
             '</form>'
@@ -1423,16 +4811,16 @@ var jsonforms = (function(jsonforms) {
             '<% if (editor instanceof jsonforms.Checkbox) { %>',
             ' <div class="col-sm-offset-2 col-sm-10">',
             '  <div class="checkbox">',
-            '   <label> <span data-editor></span> <%- title %> </label>',
+            '   <label> <span data-editor></span> <%- jsonforms.translate(title) %> </label>',
             '  </div>',
             ' </div>',
             '<% } else { %>',
-            ' <label class="col-sm-2 control-label" for="<%- editor.inputId %>"><%- title %></label>',
+            ' <label class="col-sm-2 control-label" for="<%- editor.inputId %>"><%- jsonforms.translate(title) %></label>',
             ' <div class="col-sm-10">',
             '  <span data-editor></span>',
             '<% } %>',
             '  <p class="help-block" data-error></p>',
-            '  <p class="help-block"><%- description %></p>',
+            '  <p class="help-block"><%- jsonforms.translate(description) %></p>',
             ' </div>',
             '</div>'
         ].join('\n')),
@@ -1442,22 +4830,22 @@ var jsonforms = (function(jsonforms) {
             '<div class="checkbox" data-field="<%- fullName %>">',
             '  <div class="checkbox">',
             '  <label for="<%- editor.inputId %>" >',
-            '  <span data-editor></span> <%- title %>',
+            '  <span data-editor></span> <%- jsonforms.translate(title) %>',
             '  </label>',
             '  </div>',
             '<% } else { %>',
             '<div class="form-group" data-field="<%- fullName %>">',
-            '  <label for="<%- editor.inputId %>"><%- title %></label>',
+            '  <label for="<%- editor.inputId %>"><%- jsonforms.translate(title) %></label>',
             '  <span data-editor></span>',
             '<% } %>',
             '<p class="help-block" data-error></p>',
-            '<p class="help-block"><%- description %></p>',
+            '<p class="help-block"><%- jsonforms.translate(description) %></p>',
             '</div>'
         ].join('\n')),
 
         'field-inline': _.template([
             '<div class="form-group" data-field="<%- fullName %>">',
-            '<div title="<%- title %>">',
+            '<div title="<%- jsonforms.translate(title) %>">',
             '  <span data-editor></span>',
             '  <div class="help-inline" data-error></div>',
             '</div>',
@@ -1466,30 +4854,170 @@ var jsonforms = (function(jsonforms) {
 
         'array-horizontal': _.template([
             '<div class="jsonforms-array" data-field="<%- fullName %>">',
+            '<% if (schema.itemSummary) { %>',
+            '<div class="jsonforms-array-toggles">',
+            '<button type="button" class="btn btn-xs btn-link" data-action="expandAll"><%- jsonforms.t("expandAll") %></button>',
+            '<button type="button" class="btn btn-xs btn-link" data-action="collapseAll"><%- jsonforms.t("collapseAll") %></button>',
+            '</div>',
+            '<% } %>',
             '<ul class="form-inline list-unstyled clearfix" data-items></ul>',
-            '<button type="button" class="btn btn-xs" data-action="add"><span class="glyphicon glyphicon-plus"></span> Add</button>',
+            '<button type="button" class="btn btn-xs" data-action="add"><span class="glyphicon glyphicon-plus"></span> <%- jsonforms.t("add") %></button>',
             '<p class="help-block col-sm-offset-2 sol-sm-10" data-error></p>',
             '</div>'
         ].join('\n')),
 
         'array-vertical': _.template([
             '<div class="jsonforms-array" data-field="<%- fullName %>">',
+            '<% if (schema.itemSummary) { %>',
+            '<div class="jsonforms-array-toggles">',
+            '<button type="button" class="btn btn-xs btn-link" data-action="expandAll"><%- jsonforms.t("expandAll") %></button>',
+            '<button type="button" class="btn btn-xs btn-link" data-action="collapseAll"><%- jsonforms.t("collapseAll") %></button>',
+            '</div>',
+            '<% } %>',
             '<ul class="form-inline list-unstyled clearfix" data-items></ul>',
-            '<button type="button" class="btn btn-xs" data-action="add"><span class="glyphicon glyphicon-plus"></span> Add</button>',
+            '<button type="button" class="btn btn-xs" data-action="add"><span class="glyphicon glyphicon-plus"></span> <%- jsonforms.t("add") %></button>',
             '<p class="help-block" data-error></p>',
             '</div>'
         ].join('\n')),
 
+        'variant-horizontal': _.template([
+            '<div class="jsonforms-variant" data-field="<%- fullName %>">',
+            '  <div class="form-group">',
+            '    <label class="col-sm-2 control-label" for="<%- variantId %>"><%- jsonforms.translate(schema.title) %></label>',
+            '    <div class="col-sm-10">',
+            '      <select class="form-control" id="<%- variantId %>" data-variant>',
+            '      <% for (var i = 0; i < variantLabels.length; i++) { %>',
+            '        <option value="<%- i %>"><%- variantLabels[i] %></option>',
+            '      <% } %>',
+            '      </select>',
+            '    </div>',
+            '  </div>',
+            '  <div data-innerField></div>',
+            '  <div class="col-sm-offset-2 col-sm-10">',
+            '  <p class="help-block" data-error></p>',
+            '  </div>',
+            '</div>'
+        ].join('\n')),
+
+        'variant-vertical': _.template([
+            '<div class="jsonforms-variant" data-field="<%- fullName %>">',
+            '  <div class="form-group">',
+            '    <label for="<%- variantId %>"><%- jsonforms.translate(schema.title) %></label>',
+            '    <select class="form-control" id="<%- variantId %>" data-variant>',
+            '    <% for (var i = 0; i < variantLabels.length; i++) { %>',
+            '      <option value="<%- i %>"><%- variantLabels[i] %></option>',
+            '    <% } %>',
+            '    </select>',
+            '  </div>',
+            '  <div data-innerField></div>',
+            '  <p class="help-block" data-error></p>',
+            '</div>'
+        ].join('\n')),
+
+        'variant-inline': _.template([
+            '<span class="jsonforms-variant" data-field="<%- fullName %>">',
+            '  <select class="form-control" title="<%- jsonforms.translate(schema.title) %>" data-variant>',
+            '  <% for (var i = 0; i < variantLabels.length; i++) { %>',
+            '    <option value="<%- i %>"><%- variantLabels[i] %></option>',
+            '  <% } %>',
+            '  </select>',
+            '  <span data-innerField></span>',
+            '  <span class="help-inline" data-error></span>',
+            '</span>'
+        ].join('\n')),
+
         item: _.template([
             '<li class="clearfix jsonforms-item" data-field="item--<%- fullName %>">',
+            '<% if (!fixed) { %>',
+            '<span class="pull-left jsonforms-drag-handle" draggable="true" tabindex="0" title="<%- jsonforms.t("dragHandle") %>" data-drag-handle><span class="glyphicon glyphicon-move"></span></span>',
+            '<% } %>',
+            '<% if (collapsible) { %>',
+            '<a class="btn btn-xs pull-left" data-action="toggle" title="<%- jsonforms.t("toggleItem") %>"><span class="glyphicon glyphicon-chevron-down"></span></a>',
+            '<div class="pull-left jsonforms-item-summary" data-summary></div>',
+            '<% } %>',
+            '<div class="pull-left" data-innerField></div>',
+            '<% if (!fixed) { %>',
+            '&nbsp; <a class="btn btn-xs" data-action="insert" title="<%- jsonforms.t("insert") %>"><span class="glyphicon glyphicon-plus"></span></a>',
+            '<a class="btn btn-xs" data-action="remove" title="<%- jsonforms.t("remove") %>"><span class="glyphicon glyphicon-remove"></span></a>',
+            '&nbsp;<a class="btn btn-xs" data-action="moveUp" title="<%- jsonforms.t("moveUp") %>"><span class="glyphicon glyphicon-arrow-up"></span></a>',
+            '<a class="btn btn-xs" data-action="moveDown" title="<%- jsonforms.t("moveDown") %>"><span class="glyphicon glyphicon-arrow-down"></span></a>',
+            '<% } %>',
+            '</li>'
+        ].join('\n')),
+
+        properties: _.template([
+            '<div class="jsonforms-properties" data-properties>',
+            '<ul class="form-inline list-unstyled clearfix" data-items></ul>',
+            '<button type="button" class="btn btn-xs" data-action="add"><span class="glyphicon glyphicon-plus"></span> <%- jsonforms.t("add") %></button>',
+            '</div>'
+        ].join('\n')),
+
+        property: _.template([
+            '<li class="clearfix jsonforms-property" data-field="property--<%- fullName %>">',
+            '<div class="pull-left">',
+            '<input type="text" class="form-control" id="<%- keyId %>" value="<%- key %>" placeholder="<%- jsonforms.t("key") %>" data-key>',
+            '<span class="help-inline" data-key-error></span>',
+            '</div>',
             '<div class="pull-left" data-innerField></div>',
-            '&nbsp; <a class="btn btn-xs" data-action="insert"><span class="glyphicon glyphicon-plus"></span></a>',
-            '<a class="btn btn-xs" data-action="remove"><span class="glyphicon glyphicon-remove"></span></a>',
-            '&nbsp;<a class="btn btn-xs" data-action="moveUp"><span class="glyphicon glyphicon-arrow-up"></span></a>',
-            '<a class="btn btn-xs" data-action="moveDown"><span class="glyphicon glyphicon-arrow-down"></span></a>',
+            '&nbsp; <a class="btn btn-xs" data-action="remove" title="<%- jsonforms.t("remove") %>"><span class="glyphicon glyphicon-remove"></span></a>',
             '</li>'
         ].join('\n')),
 
+        'layout-fieldset': _.template([
+            '<fieldset class="jsonforms-fieldset<%- collapsed ? " collapsed" : "" %>" data-layout="fieldset">',
+            '  <% if (title) { %>',
+            '  <legend>',
+            '  <% if (collapsible) { %><a href="#" data-layout-toggle><%- jsonforms.translate(title) %></a>',
+            '  <% } else { %><%- jsonforms.translate(title) %><% } %>',
+            '  </legend>',
+            '  <% } %>',
+            '  <div data-layout-items<% if (collapsed) { %> style="display: none"<% } %>></div>',
+            '</fieldset>'
+        ].join('\n')),
+
+        'layout-tabs': _.template([
+            '<div class="jsonforms-tabs" data-layout="tabs">',
+            '  <ul class="nav nav-tabs">',
+            '  <% _.each(tabs, function(tab, i) { %>',
+            '    <li class="<%- i === 0 ? "active" : "" %>" data-layout-tab="<%- i %>"><a href="#"><%- jsonforms.translate(tab.title) %></a></li>',
+            '  <% }); %>',
+            '  </ul>',
+            '  <div class="tab-content">',
+            '  <% _.each(tabs, function(tab, i) { %>',
+            '    <div class="tab-pane<%- i === 0 ? " active" : "" %>" data-layout-pane="<%- i %>" data-layout-items></div>',
+            '  <% }); %>',
+            '  </div>',
+            '</div>'
+        ].join('\n')),
+
+        'layout-columns': _.template([
+            '<div class="row" data-layout="columns">',
+            '<% _.each(columns, function(column) { %>',
+            '  <div class="col-sm-<%- column.width || Math.floor(12 / columns.length) %>" data-layout-items></div>',
+            '<% }); %>',
+            '</div>'
+        ].join('\n')),
+
+        'wizard-steps': _.template([
+            '<div class="jsonforms-wizard-steps">',
+            '  <ul class="nav nav-pills">',
+            '  <% _.each(steps, function(step, i) { %>',
+            '    <li data-step="<%- i %>"><a href="#"><%- i + 1 %>. <%- jsonforms.translate(step.title) %></a></li>',
+            '  <% }); %>',
+            '  </ul>',
+            '  <div class="progress">',
+            '    <div class="progress-bar" role="progressbar" aria-valuemin="1" aria-valuemax="<%- steps.length %>" data-progress></div>',
+            '  </div>',
+            '</div>'
+        ].join('\n')),
+
+        'wizard-buttons': _.template([
+            '<div class="jsonforms-wizard-buttons form-group">',
+            '  <button type="button" class="btn btn-default" data-action="previous"><%- jsonforms.t("previous") %></button>',
+            '  <button type="button" class="btn btn-primary" data-action="next"><%- jsonforms.t("next") %></button>',
+            '</div>'
+        ].join('\n')),
+
         errors: _.template([
             '<ul>',
             '<% for (var i = 0; i < errors.length; i++) { %>',
@@ -1503,20 +5031,23 @@ var jsonforms = (function(jsonforms) {
         form: templates['form-horizontal'],
         field: templates['field-horizontal'],
         object: templates['object-horizontal'],
-        array: templates['array-horizontal']
+        array: templates['array-horizontal'],
+        variant: templates['variant-horizontal']
     }, templates);
 
     var verticalTemplates = jsonforms.verticalTemplates = _.defaults({
         form: templates['form-vertical'],
         field: templates['field-vertical'],
         object: templates['object-vertical'],
-        array: templates['array-vertical']
+        array: templates['array-vertical'],
+        variant: templates['variant-vertical']
     }, templates);
 
     var inlineTemplates = jsonforms.inlineTemplates = _.defaults({
         form: templates['form-inline'],
         field: templates['field-inline'],
-        object: templates['object-inline']
+        object: templates['object-inline'],
+        variant: templates['variant-inline']
     }, templates);
 
     jsonforms.templates = verticalTemplates;
@@ -1528,6 +5059,7 @@ var jsonforms = (function(jsonforms) {
     Checkbox.prototype.className = 'list-inline';
     Radio.prototype.className = 'list-inline radios';
     MultiImages.prototype.className = 'multi-images';
+    MultiFiles.prototype.className = 'multi-files';
     ReadOnlyText.prototype.className = 'control-label readonly-text';
 
     // errorClassName
@@ -1535,6 +5067,25 @@ var jsonforms = (function(jsonforms) {
     FieldMap.prototype.errorClassName = 'has-error';
     FieldList.prototype.errorClassName = 'has-error';
     ListItem.prototype.errorClassName = 'has-error';
+    FieldVariant.prototype.errorClassName = 'has-error';
+    PropertyItem.prototype.errorClassName = 'has-error';
+
+    // draggingClassName, dropTargetClassName
+    ListItem.prototype.draggingClassName = 'jsonforms-dragging';
+    ListItem.prototype.dropTargetClassName = 'jsonforms-drop-target';
+
+    // collapsedClassName
+    ListItem.prototype.collapsedClassName = 'jsonforms-collapsed';
+
+    // dirtyClassName, touchedClassName
+    Field.prototype.dirtyClassName = 'jsonforms-dirty';
+    FieldMap.prototype.dirtyClassName = 'jsonforms-dirty';
+    FieldList.prototype.dirtyClassName = 'jsonforms-dirty';
+    FieldVariant.prototype.dirtyClassName = 'jsonforms-dirty';
+    Field.prototype.touchedClassName = 'jsonforms-touched';
+    FieldMap.prototype.touchedClassName = 'jsonforms-touched';
+    FieldList.prototype.touchedClassName = 'jsonforms-touched';
+    FieldVariant.prototype.touchedClassName = 'jsonforms-touched';
     
     return jsonforms;
 